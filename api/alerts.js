@@ -0,0 +1,253 @@
+const nodemailer = require("nodemailer");
+const fetch = (...args) => import("node-fetch").then(({ default: f }) => f(...args));
+const { avatarcyan_cache } = require("./cache");
+const { InvalidRequestError } = require("./errors");
+const { logger } = require("./request_context");
+require("dotenv").config();
+
+const split_list = (value) => (value || "").split(",").map((entry) => entry.trim()).filter(Boolean);
+
+// Discord webhook URLs, sent an embed
+const ALERT_DISCORD_WEBHOOKS = split_list(process.env.ALERT_DISCORD_WEBHOOKS);
+// Any other URLs, sent JSON with a `text` field so Slack, Mattermost and the like can take it as is
+const ALERT_WEBHOOKS = split_list(process.env.ALERT_WEBHOOKS);
+const ALERT_EMAIL_TO = split_list(process.env.ALERT_EMAIL_TO);
+const ALERT_EMAIL_FROM = process.env.ALERT_EMAIL_FROM || "Avatarcyan Status <status@localhost>";
+const SMTP_URL = process.env.SMTP_URL;
+// Checks in a row a service has to fail before anyone is told, so one slow response doesn't page
+const ALERT_FAILURE_THRESHOLD = parseInt(process.env.ALERT_FAILURE_THRESHOLD || "3", 10);
+// Like "22:00-07:00" in ALERT_TIMEZONE, alerts held back then go out with the first run after
+const ALERT_QUIET_HOURS = process.env.ALERT_QUIET_HOURS || "";
+const ALERT_TIMEZONE = process.env.ALERT_TIMEZONE || "UTC";
+const ALERT_TIMEOUT_MS = parseInt(process.env.ALERT_TIMEOUT_MS || "5000", 10);
+
+if (ALERT_EMAIL_TO.length > 0 && !SMTP_URL) throw new Error("Missing SMTP_URL in .env for ALERT_EMAIL_TO");
+
+// Kept in the cache, which instances share with CACHE_BACKEND=redis or supabase
+const ALERT_STATE_KEY = "alert_state";
+const ALERT_STATE_TTL = 7 * 24 * 60 * 60;
+
+// Discord's red, yellow and green
+const COLORS = { down: 0xed4245, degraded: 0xfee75c, operational: 0x57f287 };
+
+const CHANNELS = [
+  ...ALERT_DISCORD_WEBHOOKS.map((url) => ({ type: "discord", target: url })),
+  ...ALERT_WEBHOOKS.map((url) => ({ type: "webhook", target: url })),
+  ...(ALERT_EMAIL_TO.length > 0 ? [{ type: "email", target: ALERT_EMAIL_TO.join(", ") }] : []),
+];
+
+function parse_quiet_hours(value) {
+  if (!value) return null;
+  const match = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/.exec(value.replace(/\s/g, ""));
+  const [start_hour, start_minute, end_hour, end_minute] = (match || []).slice(1).map(Number);
+  if (!match || start_hour > 23 || end_hour > 23 || start_minute > 59 || end_minute > 59) {
+    throw new Error(`Invalid ALERT_QUIET_HOURS "${value}", expected a range like 22:00-07:00`);
+  }
+  return { start: start_hour * 60 + start_minute, end: end_hour * 60 + end_minute };
+}
+
+const quiet_hours = parse_quiet_hours(ALERT_QUIET_HOURS);
+// Also checks ALERT_TIMEZONE, an unknown zone throws here rather than on the first alert
+const clock = new Intl.DateTimeFormat("en-GB", { timeZone: ALERT_TIMEZONE, hour: "2-digit", minute: "2-digit", hourCycle: "h23" });
+
+/**
+ * Whether alerts are held back right now
+ * @param {Date} date - The time to check (default now)
+ * @returns {boolean}
+ */
+function in_quiet_hours(date = new Date()) {
+  if (!quiet_hours) return false;
+  const parts = Object.fromEntries(clock.formatToParts(date).map(({ type, value }) => [type, value]));
+  const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+  const { start, end } = quiet_hours;
+  // Ranges like 22:00-07:00 wrap around midnight
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+const TITLES = {
+  down: (name) => `${name} is down`,
+  degraded: (name) => `${name} is degraded`,
+  recovered: (name) => `${name} has recovered`,
+};
+
+function build_alert(service, previous_status) {
+  const event = service.status === "operational" ? "recovered" : service.status;
+  return {
+    event,
+    title: TITLES[event](service.name),
+    service: service.id,
+    name: service.name,
+    status: service.status,
+    previous_status,
+    message: service.message,
+    response_time: service.responseTime,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+async function post_json(url, body) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "User-Agent": "Avatarcyan-Alerts" },
+    body: JSON.stringify(body),
+    redirect: "manual",
+    signal: AbortSignal.timeout(ALERT_TIMEOUT_MS),
+  });
+  if (!res.ok) {
+    const err = new Error(`${res.status} ${res.statusText}`);
+    err.status = res.status;
+    throw err;
+  }
+}
+
+function discord_payload(alert) {
+  const fields = [
+    alert.name && { name: "Service", value: alert.name, inline: true },
+    { name: "Status", value: alert.status, inline: true },
+    alert.previous_status && { name: "Previous", value: alert.previous_status, inline: true },
+    alert.response_time !== undefined && { name: "Response time", value: `${alert.response_time} ms`, inline: true },
+  ].filter(Boolean);
+  return {
+    username: "Avatarcyan Status",
+    embeds: [{
+      title: alert.title,
+      description: alert.message,
+      color: COLORS[alert.status],
+      fields,
+      timestamp: alert.timestamp,
+    }],
+  };
+}
+
+function webhook_payload({ title, ...alert }) {
+  return { text: `${title}: ${alert.message}`, ...alert, event: `status.${alert.event}` };
+}
+
+let transport = null;
+
+async function send_email(alert) {
+  transport ||= nodemailer.createTransport(SMTP_URL);
+  const lines = [
+    alert.message,
+    "",
+    `Status: ${alert.status}`,
+    alert.previous_status && `Previous status: ${alert.previous_status}`,
+    alert.response_time !== undefined && `Response time: ${alert.response_time} ms`,
+    `Time: ${alert.timestamp}`,
+  ].filter((line) => typeof line === "string");
+  await transport.sendMail({
+    from: ALERT_EMAIL_FROM,
+    to: ALERT_EMAIL_TO,
+    subject: `[Avatarcyan] ${alert.title}`,
+    text: lines.join("\n"),
+  });
+}
+
+const SENDERS = {
+  discord: (channel, alert) => post_json(channel.target, discord_payload(alert)),
+  webhook: (channel, alert) => post_json(channel.target, webhook_payload(alert)),
+  email: (channel, alert) => send_email(alert),
+};
+
+// Webhook URLs carry their secret, so only the host is shown
+function public_channel({ type, target }) {
+  return { type, target: type === "email" ? target : `${new URL(target).origin}/…` };
+}
+
+/**
+ * Send an alert to every channel
+ * @param {Object} alert - From build_alert, or the test alert
+ * @returns {Promise<Array>} - One { type, target, ok, error } per channel, never rejects
+ */
+async function notify(alert) {
+  return Promise.all(CHANNELS.map(async (channel) => {
+    try {
+      await SENDERS[channel.type](channel, alert);
+      return { ...public_channel(channel), ok: true };
+    } catch (err) {
+      logger.error(`Alert to ${channel.type} failed:`, err.message);
+      return { ...public_channel(channel), ok: false, error: err.message };
+    }
+  }));
+}
+
+/**
+ * Count the results of a status run in a row per service, and notify when a service settles into a
+ * new status: after ALERT_FAILURE_THRESHOLD checks for down and degraded, right away for recovered.
+ * Nothing is sent during quiet hours, a service that's still down afterwards is notified then
+ * @param {Array} services - The run's results, [{ id, name, status, responseTime, message }]
+ * @returns {Promise<Array>} - The alerts sent
+ */
+async function notify_status_changes(services) {
+  if (CHANNELS.length === 0) return [];
+  const state = (await avatarcyan_cache.get(ALERT_STATE_KEY)) || {};
+  const quiet = in_quiet_hours();
+  const due = [];
+
+  for (const service of services) {
+    // Failures during maintenance are expected, the count carries on once it's over
+    if (service.status === "maintenance") continue;
+    const previous = state[service.name] || { status: "operational", count: 0, notified: "operational" };
+    const current = {
+      status: service.status,
+      count: service.status === previous.status ? previous.count + 1 : 1,
+      notified: previous.notified,
+    };
+    const threshold = service.status === "operational" ? 1 : ALERT_FAILURE_THRESHOLD;
+    if (current.status !== current.notified && current.count >= threshold && !quiet) {
+      due.push({ alert: build_alert(service, current.notified), current });
+    }
+    state[service.name] = current;
+  }
+
+  await Promise.all(due.map(async ({ alert, current }) => {
+    const results = await notify(alert);
+    // When nothing got through the next run tries again
+    if (results.some((result) => result.ok)) current.notified = alert.status;
+  }));
+  await avatarcyan_cache.set(ALERT_STATE_KEY, state, ALERT_STATE_TTL);
+  return due.map(({ alert }) => alert);
+}
+
+/**
+ * Send a test alert to every channel, quiet hours or not
+ * @returns {Promise<Object>} - { results: [{ type, target, ok, error }] }
+ * @throws {InvalidRequestError} - When no channel is configured
+ */
+async function send_test_alert() {
+  if (CHANNELS.length === 0) {
+    throw new InvalidRequestError("No alert channels are configured", { code: "alerts_disabled" });
+  }
+  const results = await notify({
+    event: "test",
+    title: "Test alert from Avatarcyan",
+    status: "operational",
+    message: "Alerts reach this channel.",
+    timestamp: new Date().toISOString(),
+  });
+  return { results };
+}
+
+/**
+ * The alerting setup and what it last saw of every service, for admins
+ * @returns {Promise<Object>} - { channels, failure_threshold, quiet_hours, timezone, quiet_now, services }
+ */
+async function get_alert_settings() {
+  return {
+    channels: CHANNELS.map(public_channel),
+    failure_threshold: ALERT_FAILURE_THRESHOLD,
+    quiet_hours: ALERT_QUIET_HOURS || null,
+    timezone: ALERT_TIMEZONE,
+    quiet_now: in_quiet_hours(),
+    services: (await avatarcyan_cache.get(ALERT_STATE_KEY)) || {},
+  };
+}
+
+module.exports = {
+  ALERT_FAILURE_THRESHOLD,
+  in_quiet_hours,
+  notify,
+  notify_status_changes,
+  send_test_alert,
+  get_alert_settings,
+};
@@ -0,0 +1,215 @@
+const crypto = require("crypto");
+const os = require("os");
+const path = require("path");
+const { create_backend } = require("./cache");
+const { create_upstream_client } = require("./upstream");
+const { NotFoundError } = require("./errors");
+const { logger } = require("./request_context");
+require("dotenv").config();
+
+// "supabase", "local" or "off". Archiving downloads and keeps every image it sees, so it's opt-in
+const AVATAR_ARCHIVE = process.env.AVATAR_ARCHIVE || "off";
+// Where AVATAR_ARCHIVE=local keeps things, any cache backend works
+const ARCHIVE_BACKEND = process.env.ARCHIVE_BACKEND || "file";
+const ARCHIVE_DIR = process.env.ARCHIVE_DIR || path.join(os.tmpdir(), "avatarcyan-archive");
+const ARCHIVE_RETENTION_DAYS = parseInt(process.env.ARCHIVE_RETENTION_DAYS || "365", 10);
+const ARCHIVE_MAX_ENTRIES = parseInt(process.env.ARCHIVE_MAX_ENTRIES || "50", 10);
+const ARCHIVE_BUCKET = process.env.ARCHIVE_BUCKET || "avatar-archive";
+const ARCHIVE_TABLE = "avatar_history";
+// Size archived images are downloaded at
+const ARCHIVE_IMAGE_SIZE = parseInt(process.env.ARCHIVE_IMAGE_SIZE || "512", 10);
+
+const RETENTION_SECONDS = ARCHIVE_RETENTION_DAYS * 24 * 60 * 60;
+
+const cdn = create_upstream_client({ name: "Image CDN", route_key: (url) => new URL(url).host });
+
+const content_hash = (data) => crypto.createHash("sha256").update(data).digest("hex").slice(0, 32);
+
+// Index entries and bytes in a cache backend, each user's index capped at ARCHIVE_MAX_ENTRIES per kind
+function create_local_archive() {
+  const store = create_backend(ARCHIVE_BACKEND, { dir: ARCHIVE_DIR, setting: "ARCHIVE_BACKEND" });
+  const index_key = (provider, user_id) => `archive_index_${provider}_${user_id}`;
+  const image_key = (provider, user_id, entry) => `archive_image_${provider}_${user_id}_${entry.kind}_${entry.hash}`;
+
+  return {
+    name: "local",
+    async list(provider, user_id) {
+      return (await store.get(index_key(provider, user_id))) || [];
+    },
+    async add(provider, user_id, entry, data) {
+      const counts = {};
+      const kept = [];
+      const dropped = [];
+      for (const item of [entry, ...(await this.list(provider, user_id))]) {
+        counts[item.kind] = (counts[item.kind] || 0) + 1;
+        (counts[item.kind] <= ARCHIVE_MAX_ENTRIES ? kept : dropped).push(item);
+      }
+      await store.set(image_key(provider, user_id, entry), { content_type: entry.content_type, data }, RETENTION_SECONDS);
+      await store.set(index_key(provider, user_id), kept, RETENTION_SECONDS);
+      await Promise.all(dropped.map((item) => store.del(image_key(provider, user_id, item))));
+    },
+    async touch(provider, user_id, entry) {
+      const entries = await this.list(provider, user_id);
+      const last_seen = new Date().toISOString();
+      const updated = entries.map((item) => (item.kind === entry.kind && item.hash === entry.hash ? { ...item, last_seen } : item));
+      await store.set(index_key(provider, user_id), updated, RETENTION_SECONDS);
+    },
+    async image(provider, user_id, entry) {
+      return (await store.get(image_key(provider, user_id, entry))) || null;
+    },
+  };
+}
+
+// Index rows in the avatar_history table, bytes in a Storage bucket
+function create_supabase_archive() {
+  // Required here so the Gateway worker doesn't need Supabase unless it archives there
+  const supabase = require("./supabase").get_supabase();
+  const storage_path = (provider, user_id, entry) => `${provider}/${user_id}/${entry.kind}/${entry.hash}`;
+  const from_row = (row) => ({
+    kind: row.kind,
+    hash: row.hash,
+    content_type: row.content_type,
+    bytes: row.bytes,
+    first_seen: row.first_seen,
+    last_seen: row.last_seen,
+  });
+
+  return {
+    name: "supabase",
+    async list(provider, user_id) {
+      const { data, error } = await supabase
+        .from(ARCHIVE_TABLE)
+        .select("kind, hash, content_type, bytes, first_seen, last_seen")
+        .eq("provider", provider)
+        .eq("user_id", user_id)
+        .order("first_seen", { ascending: false });
+      if (error) throw error;
+      return data.map(from_row);
+    },
+    async add(provider, user_id, entry, data) {
+      const { error: upload_error } = await supabase.storage
+        .from(ARCHIVE_BUCKET)
+        .upload(storage_path(provider, user_id, entry), data, { contentType: entry.content_type, upsert: true });
+      if (upload_error) throw upload_error;
+      const { error } = await supabase
+        .from(ARCHIVE_TABLE)
+        .upsert({ provider, user_id, ...entry }, { onConflict: "provider,user_id,kind,hash" });
+      if (error) throw error;
+    },
+    async touch(provider, user_id, entry) {
+      const { error } = await supabase
+        .from(ARCHIVE_TABLE)
+        .update({ last_seen: new Date().toISOString() })
+        .match({ provider, user_id, kind: entry.kind, hash: entry.hash });
+      if (error) throw error;
+    },
+    async image(provider, user_id, entry) {
+      const { data, error } = await supabase.storage.from(ARCHIVE_BUCKET).download(storage_path(provider, user_id, entry));
+      if (error) return null;
+      return { content_type: entry.content_type, data: Buffer.from(await data.arrayBuffer()) };
+    },
+  };
+}
+
+function create_archive(name = AVATAR_ARCHIVE) {
+  if (name === "off") return null;
+  if (name === "local") return create_local_archive();
+  if (name === "supabase") return create_supabase_archive();
+  throw new Error(`Unknown AVATAR_ARCHIVE "${name}", expected one of off, local, supabase`);
+}
+
+const archive = create_archive();
+
+/**
+ * Archive the images of a profile that aren't archived yet, and mark the others as seen again
+ * @param {string} provider - Like "discord"
+ * @param {string} user_id - The user's stable ID
+ * @param {Array<Object>} images - { kind, hash, url } for each image. Without a hash
+ *                                 (GitHub URLs never change) the bytes are hashed instead
+ * @returns {Promise<void>} - Never rejects, failures are logged
+ */
+async function archive_images(provider, user_id, images) {
+  if (!archive || images.length === 0) return;
+  try {
+    const entries = await archive.list(provider, user_id);
+    const known = (kind, hash) => entries.find((entry) => entry.kind === kind && entry.hash === hash);
+
+    for (const { kind, hash: known_hash, url } of images) {
+      if (known_hash && known(kind, known_hash)) {
+        await archive.touch(provider, user_id, { kind, hash: known_hash });
+        continue;
+      }
+      const res = await cdn.request(url);
+      const data = Buffer.from(await res.arrayBuffer());
+      const hash = known_hash || content_hash(data);
+      if (known(kind, hash)) {
+        await archive.touch(provider, user_id, { kind, hash });
+        continue;
+      }
+      const now = new Date().toISOString();
+      await archive.add(provider, user_id, {
+        kind,
+        hash,
+        content_type: res.headers.get("content-type"),
+        bytes: data.length,
+        first_seen: now,
+        last_seen: now,
+      }, data);
+    }
+  } catch (err) {
+    logger.error(`Archiving ${provider} user ${user_id} failed:`, err.message);
+  }
+}
+
+function require_archive() {
+  if (!archive) throw new NotFoundError("Avatar history is disabled", { code: "archive_disabled" });
+  return archive;
+}
+
+/**
+ * Every archived image of a user, newest first
+ * @param {string} provider - Like "discord"
+ * @param {string} user_id - The user's stable ID
+ * @returns {Promise<Array<Object>>} - { kind, hash, content_type, bytes, first_seen, last_seen }
+ * @throws {NotFoundError} - When archiving is off
+ */
+async function get_archive(provider, user_id) {
+  const entries = await require_archive().list(provider, user_id);
+  return entries.sort((a, b) => b.first_seen.localeCompare(a.first_seen));
+}
+
+/**
+ * One archived image's index entry
+ * @param {string} provider - Like "discord"
+ * @param {string} user_id - The user's stable ID
+ * @param {string} hash - The image hash from get_archive
+ * @returns {Promise<Object>} - { kind, hash, content_type, bytes, first_seen, last_seen }
+ * @throws {NotFoundError} - When archiving is off or there's no such image
+ */
+async function find_archived_entry(provider, user_id, hash) {
+  const entry = (await require_archive().list(provider, user_id)).find((item) => item.hash === hash);
+  if (!entry) throw new NotFoundError("No archived image with that hash", { code: "archived_image_not_found" });
+  return entry;
+}
+
+/**
+ * The bytes of one archived image
+ * @param {string} provider - Like "discord"
+ * @param {string} user_id - The user's stable ID
+ * @param {Object} entry - From find_archived_entry
+ * @returns {Promise<Object>} - { content_type, data }
+ * @throws {NotFoundError} - When archiving is off or the bytes are gone
+ */
+async function get_archived_image(provider, user_id, entry) {
+  const image = await require_archive().image(provider, user_id, entry);
+  if (!image) throw new NotFoundError("No archived image with that hash", { code: "archived_image_not_found" });
+  return image;
+}
+
+module.exports = {
+  ARCHIVE_IMAGE_SIZE,
+  archive_images,
+  get_archive,
+  find_archived_entry,
+  get_archived_image,
+};
@@ -0,0 +1,59 @@
+const crypto = require("crypto");
+const { UnauthorizedError } = require("./errors");
+require("dotenv").config();
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+// Sent by Vercel Cron as a bearer token, so scheduled jobs don't need the admin token
+const CRON_SECRET = process.env.CRON_SECRET;
+// Lets Prometheus scrape /api/metrics without the admin token
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+// Hashing first gives both sides the same length, which timingSafeEqual needs
+function safe_equal(a, b) {
+  const hash = (value) => crypto.createHash("sha256").update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+function bearer_token(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get("Authorization") || "");
+  return match ? match[1].trim() : null;
+}
+
+// Whether the request carries ADMIN_TOKEN, admins aren't rate limited
+function is_admin(req) {
+  const token = bearer_token(req);
+  return Boolean(ADMIN_TOKEN && token && safe_equal(token, ADMIN_TOKEN));
+}
+
+// Express middleware for routes that manage the service, like webhooks. They're off until ADMIN_TOKEN is set
+function require_admin(req, res, next) {
+  if (!ADMIN_TOKEN) return next(new UnauthorizedError("Admin routes are disabled", { code: "admin_disabled" }));
+  const token = bearer_token(req);
+  if (!token || !safe_equal(token, ADMIN_TOKEN)) {
+    return next(new UnauthorizedError("Missing or invalid admin token", { code: "invalid_admin_token" }));
+  }
+  next();
+}
+
+// Express middleware for routes a scheduler calls, like the status checks. CRON_SECRET or the admin token
+function require_cron(req, res, next) {
+  const token = bearer_token(req);
+  if (CRON_SECRET && token && safe_equal(token, CRON_SECRET)) return next();
+  require_admin(req, res, next);
+}
+
+// Express middleware for /api/metrics. METRICS_TOKEN or the admin token
+function require_metrics(req, res, next) {
+  const token = bearer_token(req);
+  if (METRICS_TOKEN && token && safe_equal(token, METRICS_TOKEN)) return next();
+  require_admin(req, res, next);
+}
+
+module.exports = {
+  safe_equal,
+  bearer_token,
+  is_admin,
+  require_admin,
+  require_cron,
+  require_metrics,
+};
@@ -0,0 +1,45 @@
+// Discord's public user flags, in the order the client shows them on profiles
+const BADGES = [
+  { id: "staff", name: "Discord Staff", flag: 1 << 0, icon: "5e74e9b61934fc1f67c65515d1f7e60d" },
+  { id: "partner", name: "Partnered Server Owner", flag: 1 << 1, icon: "3f9748e53446a137a052f3454e2de41e" },
+  { id: "certified_moderator", name: "Moderator Programs Alumni", flag: 1 << 18, icon: "fee1624003e2fee35cb398e125dc479b" },
+  { id: "hypesquad_events", name: "HypeSquad Events", flag: 1 << 2, icon: "bf01d1073931f921909045f3a39fd264" },
+  { id: "hypesquad_bravery", name: "HypeSquad Bravery", flag: 1 << 6, icon: "8a88d63823d8a71cd5e390baa45efa02" },
+  { id: "hypesquad_brilliance", name: "HypeSquad Brilliance", flag: 1 << 7, icon: "011940fd013da3f7fb926e4a1cd2e618" },
+  { id: "hypesquad_balance", name: "HypeSquad Balance", flag: 1 << 8, icon: "3aa41de486fa12454c3761e8e223442e" },
+  { id: "bug_hunter_level_1", name: "Discord Bug Hunter", flag: 1 << 3, icon: "2717692c7dca7289b35297368a940dd0" },
+  { id: "bug_hunter_level_2", name: "Discord Bug Hunter (Gold)", flag: 1 << 14, icon: "848f79194d4be5ff5f81505cbd0ce1e6" },
+  { id: "active_developer", name: "Active Developer", flag: 1 << 22, icon: "6bdc42827a38498929a4920da12695d9" },
+  { id: "early_verified_bot_developer", name: "Early Verified Bot Developer", flag: 1 << 17, icon: "6df5892e0f35b051f8b61eace34f4967" },
+  { id: "early_supporter", name: "Early Supporter", flag: 1 << 9, icon: "7060786766c9c840eb3019e725d2b358" },
+  // Shown as the "APP" tag next to the name rather than as an icon
+  { id: "verified_bot", name: "Verified App", flag: 1 << 16, icon: null },
+];
+
+function badge_icon_url(badge, size) {
+  if (!badge.icon) return null;
+  return `https://cdn.discordapp.com/badge-icons/${badge.icon}.png${size ? `?size=${size}` : ""}`;
+}
+
+function get_badge(id) {
+  return BADGES.find((badge) => badge.id === id);
+}
+
+/**
+ * Decode a user's public_flags into the badges Discord shows on their profile
+ * @param {number} flags - The public_flags bitfield
+ * @param {Object} options
+ * @param {number} options.size - Icon size to put in the icon URLs, CDN default when missing
+ * @returns {Array<Object>} - [{ id, name, flag, icon_url }], in profile order
+ */
+function decode_badges(flags, options = {}) {
+  if (!Number.isInteger(flags)) return [];
+  return BADGES.filter((badge) => (flags & badge.flag) !== 0).map((badge) => ({
+    id: badge.id,
+    name: badge.name,
+    flag: badge.flag,
+    icon_url: badge_icon_url(badge, options.size),
+  }));
+}
+
+module.exports = { BADGES, badge_icon_url, get_badge, decode_badges };
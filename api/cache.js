@@ -0,0 +1,391 @@
+const NodeCache = require("node-cache");
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { ApiError } = require("./errors");
+const { count_cache_lookup, count_cache_eviction } = require("./metrics");
+const { logger } = require("./request_context");
+require("dotenv").config();
+
+const CACHE_BACKEND = process.env.CACHE_BACKEND || "memory";
+const CACHE_TTL = parseInt(process.env.CACHE_TTL || "60", 10);
+const CACHE_STALE_TTL = parseInt(process.env.CACHE_STALE_TTL || "600", 10);
+const CACHE_NEGATIVE_TTL = parseInt(process.env.CACHE_NEGATIVE_TTL || "30", 10);
+// Bounds of the memory backend, so a crawler walking every size and format can't fill the heap. 0 is unbounded
+const CACHE_MAX_KEYS = parseInt(process.env.CACHE_MAX_KEYS || "10000", 10);
+const CACHE_MAX_BYTES = parseInt(process.env.CACHE_MAX_BYTES || String(256 * 1024 * 1024), 10);
+
+// Seconds an entry is fresh, then how long it may still be served while refreshing
+const RESOURCE_TTLS = {
+  default: { ttl: CACHE_TTL, stale: CACHE_STALE_TTL },
+  discord_user: {
+    ttl: parseInt(process.env.DISCORD_USER_CACHE_TTL || String(CACHE_TTL), 10),
+    stale: CACHE_STALE_TTL,
+  },
+  discord_guild: {
+    ttl: parseInt(process.env.DISCORD_GUILD_CACHE_TTL || "300", 10),
+    stale: CACHE_STALE_TTL,
+  },
+  github_user: {
+    ttl: parseInt(process.env.GITHUB_USER_CACHE_TTL || "300", 10),
+    stale: CACHE_STALE_TTL,
+  },
+  // Repositories, organizations and language stats, which change less often than profiles
+  github_extras: {
+    ttl: parseInt(process.env.GITHUB_EXTRAS_CACHE_TTL || "900", 10),
+    stale: CACHE_STALE_TTL,
+  },
+  // Profiles from the other providers (GitLab, Gravatar, Bluesky, Steam)
+  profile: {
+    ttl: parseInt(process.env.PROFILE_CACHE_TTL || "300", 10),
+    stale: CACHE_STALE_TTL,
+  },
+  // API key lookups. Never served stale, so a revoked key stops working once its entry expires
+  api_key: {
+    ttl: parseInt(process.env.API_KEY_CACHE_TTL || "60", 10),
+    stale: 0,
+  },
+  // The last run of the status checks, which also sets how often the checker runs. Never served stale,
+  // a page that's read after it expires runs the checks again
+  status: {
+    ttl: parseInt(process.env.STATUS_CHECK_INTERVAL || "60", 10),
+    stale: 0,
+  },
+  image: {
+    ttl: parseInt(process.env.IMAGE_CACHE_TTL || "300", 10),
+    stale: parseInt(process.env.IMAGE_CACHE_STALE_TTL || "3600", 10),
+  },
+};
+
+// Buffers survive JSON round trips as base64 instead of byte arrays
+function serialize(entry) {
+  return JSON.stringify(entry, function (key, value) {
+    const raw = this[key];
+    return Buffer.isBuffer(raw) ? { $buffer: raw.toString("base64") } : value;
+  });
+}
+
+function deserialize(text) {
+  return JSON.parse(text, (key, value) =>
+    value && typeof value.$buffer === "string" ? Buffer.from(value.$buffer, "base64") : value
+  );
+}
+
+// Buffers are what fills memory, the rest of an entry is small next to an image
+function buffer_bytes(value, depth = 0) {
+  if (Buffer.isBuffer(value)) return value.length;
+  if (!value || typeof value !== "object" || depth > 3) return 0;
+  return Object.values(value).reduce((sum, item) => sum + buffer_bytes(item, depth + 1), 0);
+}
+
+function create_memory_backend({ on_evict, max_keys = 0, max_bytes = 0 } = {}) {
+  // Entries are never mutated after being stored, so skip NodeCache's deep cloning
+  const store = new NodeCache({ useClones: false, checkperiod: 60 });
+  // Size of every entry, least recently used first
+  const sizes = new Map();
+  let bytes = 0;
+  if (on_evict) store.on("expired", () => on_evict());
+  // Expired entries are deleted too, so this frees their share of the budget
+  store.on("del", (key) => {
+    bytes -= sizes.get(key) || 0;
+    sizes.delete(key);
+  });
+
+  function is_full(size) {
+    return (max_keys > 0 && sizes.size >= max_keys) || (max_bytes > 0 && bytes + size > max_bytes);
+  }
+
+  return {
+    name: "memory",
+    async get(key) {
+      const value = store.get(key);
+      if (value !== undefined && sizes.has(key)) {
+        // Move it to the back of the eviction order
+        const size = sizes.get(key);
+        sizes.delete(key);
+        sizes.set(key, size);
+      }
+      return value;
+    },
+    async set(key, value, ttl) {
+      const size = buffer_bytes(value);
+      // A value bigger than the whole budget would empty the cache and still not fit, it's loaded again on the next miss
+      if (max_bytes > 0 && size > max_bytes) return;
+      store.del(key);
+      // A full cache makes room by dropping its least recently used entries
+      for (const oldest of sizes.keys()) {
+        if (!is_full(size)) break;
+        store.del(oldest);
+        on_evict?.();
+      }
+      bytes += size;
+      sizes.set(key, size);
+      store.set(key, value, ttl);
+    },
+    async del(key) {
+      store.del(key);
+    },
+  };
+}
+
+function create_redis_backend(url = process.env.REDIS_URL) {
+  if (!url) throw new Error("Missing REDIS_URL in .env for CACHE_BACKEND=redis");
+  const Redis = require("ioredis");
+  const client = new Redis(url, { enableOfflineQueue: false, maxRetriesPerRequest: 1 });
+  client.on("error", (err) => logger.error("Redis cache error:", err.message));
+  const prefix = process.env.REDIS_CACHE_PREFIX || "avatarcyan:";
+
+  return {
+    name: "redis",
+    client,
+    async get(key) {
+      const text = await client.get(prefix + key);
+      return text ? deserialize(text) : undefined;
+    },
+    async set(key, value, ttl) {
+      await client.set(prefix + key, serialize(value), "EX", Math.max(1, Math.ceil(ttl)));
+    },
+    async del(key) {
+      await client.del(prefix + key);
+    },
+  };
+}
+
+function create_file_backend(dir = process.env.CACHE_DIR || path.join(os.tmpdir(), "avatarcyan-cache"), { on_evict } = {}) {
+  const file_for = (key) => path.join(dir, `${crypto.createHash("sha256").update(key).digest("hex")}.json`);
+  let ready;
+
+  return {
+    name: "file",
+    async get(key) {
+      try {
+        const { expires_at, value } = deserialize(await fs.readFile(file_for(key), "utf8"));
+        if (expires_at > Date.now()) return value;
+        await fs.rm(file_for(key), { force: true });
+        on_evict?.();
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+      return undefined;
+    },
+    async set(key, value, ttl) {
+      ready ||= fs.mkdir(dir, { recursive: true });
+      await ready;
+      // Write then rename so concurrent readers never see a half-written file
+      const file = file_for(key);
+      const tmp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+      await fs.writeFile(tmp, serialize({ expires_at: Date.now() + ttl * 1000, value }));
+      await fs.rename(tmp, file);
+    },
+    async del(key) {
+      await fs.rm(file_for(key), { force: true });
+    },
+  };
+}
+
+// Entries in a Postgres table, for deployments that have Supabase but no Redis
+function create_supabase_backend({ on_evict } = {}) {
+  // Required here so the other backends work without Supabase
+  const supabase = require("./supabase").get_supabase();
+  const table = process.env.SUPABASE_CACHE_TABLE || "cache_entries";
+
+  return {
+    name: "supabase",
+    async get(key) {
+      const { data, error } = await supabase.from(table).select("value, expires_at").eq("key", key).maybeSingle();
+      if (error) throw error;
+      if (!data) return undefined;
+      if (Date.parse(data.expires_at) > Date.now()) return deserialize(data.value);
+      await this.del(key);
+      on_evict?.();
+      return undefined;
+    },
+    async set(key, value, ttl) {
+      const { error } = await supabase.from(table).upsert({
+        key,
+        value: serialize(value),
+        expires_at: new Date(Date.now() + ttl * 1000).toISOString(),
+      });
+      if (error) throw error;
+    },
+    async del(key) {
+      const { error } = await supabase.from(table).delete().eq("key", key);
+      if (error) throw error;
+    },
+  };
+}
+
+const BACKENDS = {
+  memory: create_memory_backend,
+  redis: create_redis_backend,
+  file: create_file_backend,
+  supabase: create_supabase_backend,
+};
+
+/**
+ * Create a key-value backend by name, also used for stores that outlive the cache (tracking, archive)
+ * @param {string} name - One of "memory", "redis", "file", "supabase"
+ * @param {Object} options
+ * @param {string} options.dir - Directory for the file backend
+ * @param {string} options.setting - Env variable the name came from, for the error message
+ * @param {Function} options.on_evict - Called when the backend removes an expired entry, or the memory backend
+ *                                      drops one to stay within its bounds. Redis expires keys on its own,
+ *                                      so it never calls it
+ * @param {number} options.max_keys - Most entries the memory backend holds, 0 is unbounded
+ * @param {number} options.max_bytes - Most bytes of buffers the memory backend holds, 0 is unbounded
+ * @returns {Object} - { name, get, set, del }
+ */
+function create_backend(name, { dir, setting = "CACHE_BACKEND", ...options } = {}) {
+  const make_backend = BACKENDS[name];
+  if (!make_backend) {
+    throw new Error(`Unknown ${setting} "${name}", expected one of ${Object.keys(BACKENDS).join(", ")}`);
+  }
+  if (name === "file") return make_backend(dir || undefined, options);
+  return name === "redis" ? make_backend() : make_backend(options);
+}
+
+/**
+ * Create a cache with stale-while-revalidate, negative caching and request coalescing
+ * @param {Object} options
+ * @param {Object|string} options.backend - A backend object or one of "memory", "redis", "file", "supabase"
+ * @param {Object} options.ttls - Per-resource { ttl, stale } settings in seconds
+ * @param {number} options.negative_ttl - Seconds to remember "not found" errors
+ * @returns {Object} - The cache
+ */
+function create_cache(options = {}) {
+  const {
+    backend: backend_option = CACHE_BACKEND,
+    ttls = RESOURCE_TTLS,
+    negative_ttl = CACHE_NEGATIVE_TTL,
+  } = options;
+
+  const backend =
+    typeof backend_option === "string"
+      ? create_backend(backend_option, {
+          on_evict: () => count_cache_eviction(backend_option),
+          max_keys: CACHE_MAX_KEYS,
+          max_bytes: CACHE_MAX_BYTES,
+        })
+      : backend_option;
+  const inflight = new Map();
+
+  async function safe_get(key) {
+    try {
+      return await backend.get(key);
+    } catch (err) {
+      logger.error(`Cache read failed for ${key}:`, err.message);
+      return undefined;
+    }
+  }
+
+  async function safe_set(key, value, ttl) {
+    try {
+      await backend.set(key, value, ttl);
+    } catch (err) {
+      logger.error(`Cache write failed for ${key}:`, err.message);
+    }
+  }
+
+  // Only one upstream call per key at a time, concurrent callers share its promise
+  function refresh(key, fetchFn, { ttl, stale }, is_negative) {
+    if (inflight.has(key)) return inflight.get(key);
+
+    const promise = (async () => {
+      const now = Date.now();
+      try {
+        const value = await fetchFn();
+        await safe_set(key, { value, fresh_until: now + ttl * 1000 }, ttl + stale);
+        return value;
+      } catch (err) {
+        if (is_negative(err) && negative_ttl > 0) {
+          const error = { message: err.message, status: err.status, code: err.code, upstream_status: err.upstream_status };
+          await safe_set(key, { error, fresh_until: now + negative_ttl * 1000 }, negative_ttl);
+        }
+        throw err;
+      } finally {
+        inflight.delete(key);
+      }
+    })();
+
+    inflight.set(key, promise);
+    return promise;
+  }
+
+  function rethrow({ message, ...options }) {
+    const err = new ApiError(message, options);
+    err.cached = true;
+    throw err;
+  }
+
+  return {
+    backend,
+
+    /**
+     * Get a value from the cache, calling fetchFn when it's missing or stale
+     * @param {string} key - The cache key
+     * @param {Function} fetchFn - Async function that loads the value from upstream
+     * @param {Object} options
+     * @param {string} options.resource - Which entry of the TTL table to use
+     * @param {Function} options.is_negative - Which errors to cache (default: status 404)
+     * @returns {Promise<*>} - The cached or freshly fetched value
+     */
+    async fetch(key, fetchFn, { resource = "default", is_negative = (err) => err.status === 404 } = {}) {
+      const policy = ttls[resource] || ttls.default;
+      const entry = await safe_get(key);
+      count_cache_lookup(resource, Boolean(entry));
+
+      if (entry) {
+        if (entry.error) return rethrow(entry.error);
+        if (entry.fresh_until > Date.now()) return entry.value;
+
+        // Serve the stale value right away and refresh in the background
+        refresh(key, fetchFn, policy, is_negative).catch((err) =>
+          logger.error(`Background refresh failed for ${key}:`, err.message)
+        );
+        return entry.value;
+      }
+
+      return refresh(key, fetchFn, policy, is_negative);
+    },
+
+    /**
+     * Store a value that came along with another upstream call, as if fetch had loaded it
+     * @param {string} key - The cache key
+     * @param {*} value - The value
+     * @param {string} resource - Which entry of the TTL table to use
+     */
+    async prime(key, value, resource = "default") {
+      const { ttl, stale } = ttls[resource] || ttls.default;
+      await safe_set(key, { value, fresh_until: Date.now() + ttl * 1000 }, ttl + stale);
+    },
+
+    get: (key) => backend.get(key),
+    set: (key, value, ttl = ttls.default.ttl) => backend.set(key, value, ttl),
+    del: (key) => backend.del(key),
+  };
+}
+
+// Shared by every route and provider, like the Supabase client in supabase.js
+const avatarcyan_cache = create_cache();
+
+async function fetch_cached(key, fetchFn, resource) {
+  return avatarcyan_cache.fetch(key, fetchFn, { resource });
+}
+
+async function prime_cached(key, value, resource) {
+  return avatarcyan_cache.prime(key, value, resource);
+}
+
+module.exports = {
+  RESOURCE_TTLS,
+  avatarcyan_cache,
+  fetch_cached,
+  prime_cached,
+  create_cache,
+  create_backend,
+  create_memory_backend,
+  create_redis_backend,
+  create_file_backend,
+  create_supabase_backend,
+};
@@ -0,0 +1,193 @@
+const { escape_xml } = require("./generated");
+const { parse_format } = require("./image");
+const { InvalidRequestError } = require("./errors");
+require("dotenv").config();
+
+// Cards change rarely and GitHub's image proxy honors these, so READMEs don't hit us on every view
+const CARD_CACHE_TTL = parseInt(process.env.CARD_CACHE_TTL || "1800", 10);
+const CARD_CACHE_STALE_TTL = parseInt(process.env.CARD_CACHE_STALE_TTL || "86400", 10);
+
+const THEMES = {
+  dark: { background: "#1e1f22", header: "#5865f2", text: "#f2f3f5", muted: "#b5bac1", border: "#2b2d31" },
+  light: { background: "#ffffff", header: "#5865f2", text: "#060607", muted: "#4e5058", border: "#e3e5e8" },
+  blurple: { background: "#5865f2", header: "#4752c4", text: "#ffffff", muted: "#e0e3ff", border: "#4752c4" },
+};
+const LAYOUTS = ["full", "compact"];
+// Scale of the 500px wide card
+const SIZES = { sm: 0.7, md: 1, lg: 1.4 };
+
+const WIDTH = 500;
+const FONT = "'Segoe UI', Helvetica, Arial, sans-serif";
+
+const invalid = (message) => new InvalidRequestError(message, { code: "invalid_parameter" });
+
+/**
+ * Read card options from a request query
+ * @param {Object} query - The Express req.query object
+ * @returns {Object} - { theme, layout, scale, format }, format being "svg" or a raster format
+ * @throws {InvalidRequestError} - When a parameter is invalid
+ */
+function parse_card_options(query) {
+  const { theme = "dark", layout = "full", size = "md" } = query;
+  if (!THEMES[theme]) throw invalid(`Invalid theme: expected one of ${Object.keys(THEMES).join(", ")}`);
+  if (!LAYOUTS.includes(layout)) throw invalid(`Invalid layout: expected one of ${LAYOUTS.join(", ")}`);
+  if (!SIZES[size]) throw invalid(`Invalid size: expected one of ${Object.keys(SIZES).join(", ")}`);
+
+  // Cards are drawn as SVG, anything else is rasterized from it
+  const format = query.format === undefined || query.format === "svg" ? "svg" : parse_format(query.format);
+  if (format === "gif") throw invalid("Invalid format: cards can't be rendered as gif");
+  return { theme, layout, scale: SIZES[size], format };
+}
+
+function card_cache_control() {
+  return `public, max-age=${CARD_CACHE_TTL}, s-maxage=${CARD_CACHE_TTL}, stale-while-revalidate=${CARD_CACHE_STALE_TTL}`;
+}
+
+// 1234 -> "1.2k", 1500000 -> "1.5m"
+function format_count(value) {
+  if (!Number.isFinite(value)) return "0";
+  if (value < 1000) return String(value);
+  const [divisor, suffix] = value < 1e6 ? [1e3, "k"] : [1e6, "m"];
+  return `${(value / divisor).toFixed(1).replace(/\.0$/, "")}${suffix}`;
+}
+
+/**
+ * Split text into lines of at most max_chars, ending with an ellipsis when it doesn't fit
+ * @param {string} text - The text to wrap
+ * @param {number} max_chars - Characters per line
+ * @param {number} max_lines - Lines to keep
+ * @returns {Array<string>} - The lines
+ */
+function wrap_text(text, max_chars, max_lines) {
+  const words = String(text || "").trim().split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = "";
+
+  for (const word of words) {
+    const candidate = line ? `${line} ${word}` : word;
+    if ([...candidate].length <= max_chars) {
+      line = candidate;
+      continue;
+    }
+    if (line) lines.push(line);
+    line = [...word].length > max_chars ? `${[...word].slice(0, max_chars - 1).join("")}…` : word;
+    if (lines.length === max_lines) break;
+  }
+  if (line && lines.length < max_lines) lines.push(line);
+
+  if (lines.length === max_lines && lines.join(" ").length < words.join(" ").length) {
+    const last = [...lines[max_lines - 1]];
+    lines[max_lines - 1] = `${last.slice(0, Math.max(0, max_chars - 1)).join("").replace(/\s+$/, "")}…`;
+  }
+  return lines;
+}
+
+function truncate(text, max_chars) {
+  const chars = [...String(text || "")];
+  return chars.length > max_chars ? `${chars.slice(0, max_chars - 1).join("")}…` : chars.join("");
+}
+
+function text_el(x, y, content, attrs) {
+  return `<text x="${x}" y="${y}" font-family="${FONT}" ${attrs}>${escape_xml(content)}</text>`;
+}
+
+function image_el(x, y, width, height, href, attrs = "") {
+  return `<image x="${x}" y="${y}" width="${width}" height="${height}" href="${href}" ${attrs}/>`;
+}
+
+function badges_el(badges, right, y, size) {
+  return badges
+    .map((href, i) => image_el(right - (badges.length - i) * (size + 4) + 4, y, size, size, href))
+    .join("");
+}
+
+// Details below the name: wrapped bio lines, then a row of stats
+function details_el(card, x, y, theme, max_chars) {
+  const parts = [];
+  let cursor = y;
+  for (const line of wrap_text(card.description, max_chars, 3)) {
+    parts.push(text_el(x, cursor, line, `font-size="14" fill="${theme.text}"`));
+    cursor += 20;
+  }
+  if (card.stats.length) {
+    cursor += 8;
+    let offset = x;
+    for (const { label, value } of card.stats) {
+      const shown = truncate(value, 24);
+      parts.push(`<text x="${offset}" y="${cursor}" font-family="${FONT}" font-size="14">`
+        + `<tspan font-weight="700" fill="${theme.text}">${escape_xml(shown)}</tspan>`
+        + (label ? ` <tspan fill="${theme.muted}">${escape_xml(label)}</tspan>` : "")
+        + `</text>`);
+      // There's no text measuring in SVG, so space stats by an average character width
+      offset += [...`${shown} ${label}`].length * 8 + 24;
+    }
+    cursor += 8;
+  }
+  return { svg: parts.join(""), bottom: cursor };
+}
+
+function full_layout(card, theme) {
+  const header = 120;
+  const avatar = 96;
+  const header_fill = card.banner
+    ? image_el(0, 0, WIDTH, header, card.banner, 'preserveAspectRatio="xMidYMid slice"')
+    : `<rect width="${WIDTH}" height="${header}" fill="${card.header_color || theme.header}"/>`;
+
+  const name_y = header + avatar / 2 + 36;
+  const details = details_el(card, 24, name_y + 52, theme, 58);
+  const height = Math.max(details.bottom, name_y + 30) + 20;
+
+  const body = `<clipPath id="header"><rect width="${WIDTH}" height="${header}"/></clipPath>`
+    + `<g clip-path="url(#header)">${header_fill}</g>`
+    + `<circle cx="${24 + avatar / 2}" cy="${header}" r="${avatar / 2 + 6}" fill="${theme.background}"/>`
+    + `<clipPath id="avatar"><circle cx="${24 + avatar / 2}" cy="${header}" r="${avatar / 2}"/></clipPath>`
+    + image_el(24, header - avatar / 2, avatar, avatar, card.avatar, 'clip-path="url(#avatar)"')
+    + badges_el(card.badges, WIDTH - 20, header + 12, 22)
+    + text_el(24, name_y, truncate(card.title, 30), `font-size="22" font-weight="700" fill="${theme.text}"`)
+    + text_el(24, name_y + 22, truncate(card.subtitle, 40), `font-size="14" fill="${theme.muted}"`)
+    + details.svg;
+  return { body, height };
+}
+
+function compact_layout(card, theme) {
+  const avatar = 80;
+  const x = 20 + avatar + 20;
+  const details = details_el(card, x, 96, theme, 46);
+  const height = Math.max(details.bottom, 20 + avatar) + 20;
+
+  const body = `<clipPath id="avatar"><circle cx="${20 + avatar / 2}" cy="${20 + avatar / 2}" r="${avatar / 2}"/></clipPath>`
+    + image_el(20, 20, avatar, avatar, card.avatar, 'clip-path="url(#avatar)"')
+    + badges_el(card.badges, WIDTH - 20, 20, 20)
+    + text_el(x, 50, truncate(card.title, 24), `font-size="22" font-weight="700" fill="${theme.text}"`)
+    + text_el(x, 72, truncate(card.subtitle, 36), `font-size="14" fill="${theme.muted}"`)
+    + details.svg;
+  return { body, height };
+}
+
+/**
+ * Render a profile card
+ * @param {Object} card - { title, subtitle, description, stats: [{ label, value }], avatar, banner,
+ *                        header_color, badges }, images being data: URLs so the SVG works inside <img>
+ * @param {Object} options - Options from parse_card_options
+ * @returns {string} - The SVG document
+ */
+function render_card(card, options) {
+  const theme = THEMES[options.theme];
+  const { body, height } = (options.layout === "compact" ? compact_layout : full_layout)(
+    { description: "", stats: [], badges: [], ...card },
+    theme
+  );
+  const title = escape_xml(card.title);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.round(WIDTH * options.scale)}" height="${Math.round(height * options.scale)}" viewBox="0 0 ${WIDTH} ${height}" role="img" aria-label="${title}">`
+    + `<title>${title}</title>`
+    + `<clipPath id="card"><rect width="${WIDTH}" height="${height}" rx="12"/></clipPath>`
+    + `<g clip-path="url(#card)">`
+    + `<rect width="${WIDTH}" height="${height}" fill="${theme.background}"/>`
+    + body
+    + `</g>`
+    + `<rect x="0.5" y="0.5" width="${WIDTH - 1}" height="${height - 1}" rx="12" fill="none" stroke="${theme.border}"/>`
+    + `</svg>`;
+}
+
+module.exports = { THEMES, LAYOUTS, parse_card_options, card_cache_control, format_count, wrap_text, render_card };
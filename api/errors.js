@@ -0,0 +1,149 @@
+const { logger } = require("./request_context");
+
+/**
+ * Base class for errors that map to a specific HTTP response
+ * @param {string} message - Human readable message sent to the client
+ * @param {Object} options
+ * @param {number} options.status - HTTP status sent to the client
+ * @param {string} options.code - Stable machine readable code clients can branch on
+ * @param {number} options.upstream_status - Status Discord/GitHub answered with, if any
+ * @param {number} options.retry_after - Seconds until the request may be retried
+ */
+class ApiError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = options.status || 500;
+    this.code = options.code || "internal_error";
+    this.upstream_status = options.upstream_status;
+    this.retry_after = options.retry_after;
+  }
+}
+
+class InvalidRequestError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: "invalid_request", ...options, status: 400 });
+  }
+}
+
+class UnauthorizedError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: "unauthorized", ...options, status: 401 });
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: "not_found", ...options, status: 404 });
+  }
+}
+
+class RateLimitedError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: "rate_limited", ...options, status: 429 });
+  }
+}
+
+// Upstream answered with something we can't pass on, like a 400 or a 5xx after retries
+class UpstreamError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: "upstream_error", ...options, status: 502 });
+  }
+}
+
+// Upstream rejected our credentials, e.g. a revoked bot token
+class UpstreamAuthError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: "upstream_auth_failed", ...options, status: 502 });
+  }
+}
+
+class UpstreamUnavailableError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: "upstream_unavailable", ...options, status: 503 });
+  }
+}
+
+class UpstreamTimeoutError extends ApiError {
+  constructor(message, options = {}) {
+    super(message, { code: "upstream_timeout", ...options, status: 504 });
+  }
+}
+
+/**
+ * Turn any error into the JSON body clients receive
+ * @param {Error} err - The error
+ * @param {string} request_id - ID of the request that failed
+ * @returns {Object} - { error, code, message, upstream_status, request_id }
+ */
+function error_body(err, request_id) {
+  const known = err instanceof ApiError;
+  const message = known ? err.message : "Internal server error";
+  return {
+    // `error` keeps the old { error: "..." } shape working for existing clients
+    error: message,
+    code: known ? err.code : "internal_error",
+    message,
+    upstream_status: known ? err.upstream_status ?? null : null,
+    request_id,
+  };
+}
+
+// Body parser errors (bad JSON, body too large) come with their own 4xx status
+function normalize_error(err) {
+  if (err instanceof ApiError) return err;
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new ApiError(err.message, { status: err.status, code: err.type === "entity.parse.failed" ? "invalid_json" : "invalid_request" });
+  }
+  return err;
+}
+
+/**
+ * Replace the generic upstream 404 with one that says what was missing
+ * @param {Promise} promise - An upstream call
+ * @param {string} message - Message for the client, like "Discord user not found"
+ * @param {string} code - Error code, like "user_not_found"
+ * @returns {Promise<*>} - The result of the call
+ */
+async function rethrow_not_found(promise, message, code) {
+  try {
+    return await promise;
+  } catch (err) {
+    if (err instanceof NotFoundError) throw new NotFoundError(message, { code, upstream_status: err.upstream_status });
+    throw err;
+  }
+}
+
+// Express error handler, registered after every route
+function error_handler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  const error = normalize_error(err);
+  const status = error instanceof ApiError ? error.status : 500;
+
+  if (status >= 500) logger.error(err);
+  // Validators and caching set for the response that was planned don't apply to the error
+  res.removeHeader("ETag");
+  res.removeHeader("Last-Modified");
+  res.set("Cache-Control", "no-store");
+  if (error.retry_after !== undefined) res.set("Retry-After", String(Math.ceil(error.retry_after)));
+  res.status(status).json(error_body(error, req.id));
+}
+
+// Express 4 doesn't catch rejected promises, so async routes forward them to next()
+const async_handler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+module.exports = {
+  ApiError,
+  InvalidRequestError,
+  UnauthorizedError,
+  NotFoundError,
+  RateLimitedError,
+  UpstreamError,
+  UpstreamAuthError,
+  UpstreamUnavailableError,
+  UpstreamTimeoutError,
+  error_body,
+  rethrow_not_found,
+  error_handler,
+  async_handler,
+};
@@ -0,0 +1,224 @@
+const WebSocket = require("ws");
+const { avatarcyan_cache } = require("./cache");
+const { discord_api } = require("./providers/discord");
+const { TRACKING_BACKEND, record_user_update, record_member_update } = require("./tracking");
+const { logger } = require("./request_context");
+require("dotenv").config();
+
+const DISCORD_BOT_TOKEN = process.env.DISCORD_BOT_TOKEN;
+const GATEWAY_VERSION = 10;
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 60 * 1000;
+
+const OP = {
+  DISPATCH: 0,
+  HEARTBEAT: 1,
+  IDENTIFY: 2,
+  RESUME: 6,
+  RECONNECT: 7,
+  INVALID_SESSION: 9,
+  HELLO: 10,
+  HEARTBEAT_ACK: 11,
+};
+
+const INTENTS = {
+  GUILDS: 1 << 0,
+  // Privileged, it has to be switched on in the Developer Portal
+  GUILD_MEMBERS: 1 << 1,
+};
+
+// Reconnecting can't fix these: bad token, bad shard, or intents that aren't allowed
+const FATAL_CLOSE_CODES = [4004, 4010, 4011, 4012, 4013, 4014];
+// The session is gone, so the next connection has to identify again
+const SESSION_CLOSE_CODES = [4007, 4009];
+
+/**
+ * A single-shard Discord Gateway connection that heartbeats, resumes dropped sessions
+ * and reconnects with backoff
+ * @param {Object} options
+ * @param {string} options.token - The bot token
+ * @param {number} options.intents - Bitfield of INTENTS
+ * @param {Function} options.on_dispatch - Called with (event name, data) for every event
+ * @returns {Object} - { connect, close }
+ */
+function create_gateway({ token, intents, on_dispatch }) {
+  let ws = null;
+  let seq = null;
+  let session_id = null;
+  let resume_url = null;
+  let heartbeat_timer = null;
+  let acked = true;
+  let attempts = 0;
+  let stopped = false;
+
+  const send = (op, d) => ws?.readyState === WebSocket.OPEN && ws.send(JSON.stringify({ op, d }));
+
+  async function gateway_url() {
+    const res = await discord_api.request("/gateway/bot");
+    return (await res.json()).url;
+  }
+
+  // The first beat is a timeout and the rest an interval, clearTimeout stops either
+  const stop_heartbeat = () => clearTimeout(heartbeat_timer);
+
+  function start_heartbeat(interval) {
+    stop_heartbeat();
+    acked = true;
+    const beat = () => {
+      // No ACK since the last beat means the connection is dead even if the socket looks open
+      if (!acked) return ws.close(4000, "Heartbeat not acknowledged");
+      acked = false;
+      send(OP.HEARTBEAT, seq);
+    };
+    // Discord asks for a random delay before the first beat so shards don't beat in sync
+    heartbeat_timer = setTimeout(() => {
+      beat();
+      heartbeat_timer = setInterval(beat, interval);
+    }, interval * Math.random());
+  }
+
+  function handle({ op, d, s, t }) {
+    if (s !== null && s !== undefined) seq = s;
+
+    switch (op) {
+      case OP.HELLO:
+        start_heartbeat(d.heartbeat_interval);
+        if (session_id) send(OP.RESUME, { token, session_id, seq });
+        else {
+          send(OP.IDENTIFY, {
+            token,
+            intents,
+            properties: { os: process.platform, browser: "avatarcyan", device: "avatarcyan" },
+          });
+        }
+        break;
+      case OP.HEARTBEAT:
+        send(OP.HEARTBEAT, seq);
+        break;
+      case OP.HEARTBEAT_ACK:
+        acked = true;
+        break;
+      case OP.RECONNECT:
+        ws.close(4000, "Reconnect requested");
+        break;
+      case OP.INVALID_SESSION:
+        // d says whether the session can still be resumed
+        if (!d) session_id = seq = resume_url = null;
+        ws.close(4000, "Invalid session");
+        break;
+      case OP.DISPATCH:
+        if (t === "READY") {
+          session_id = d.session_id;
+          resume_url = d.resume_gateway_url;
+          attempts = 0;
+          logger.log(`Gateway ready as ${d.user.username} in ${d.guilds.length} guilds`);
+        }
+        if (t === "RESUMED") attempts = 0;
+        Promise.resolve(on_dispatch(t, d)).catch((err) => logger.error(`Gateway ${t} handler failed:`, err.message));
+        break;
+    }
+  }
+
+  function on_close(code, reason) {
+    stop_heartbeat();
+    if (stopped) return;
+    if (FATAL_CLOSE_CODES.includes(code)) {
+      logger.error(`Gateway closed with ${code} (${reason || "no reason"}), not reconnecting`);
+      return;
+    }
+    if (SESSION_CLOSE_CODES.includes(code)) session_id = seq = resume_url = null;
+
+    // Full jitter, like the upstream client's retries
+    const delay = Math.random() * Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempts++);
+    logger.warn(`Gateway closed with ${code}, reconnecting in ${Math.round(delay)}ms`);
+    setTimeout(connect, delay);
+  }
+
+  async function open() {
+    const base = (session_id && resume_url) || (await gateway_url());
+    const socket = new WebSocket(`${base}/?v=${GATEWAY_VERSION}&encoding=json`);
+    ws = socket;
+    ws.on("message", (data) => {
+      // A frame that can't be read would otherwise throw inside the emitter and end the worker
+      try {
+        handle(JSON.parse(data));
+      } catch (err) {
+        logger.error("Gateway message failed:", err.message);
+        socket.close(4000, "Unreadable message");
+      }
+    });
+    ws.on("close", (code, reason) => on_close(code, reason.toString()));
+    ws.on("error", (err) => logger.error("Gateway socket error:", err.message));
+  }
+
+  function connect() {
+    return open().catch((err) => {
+      logger.error("Gateway connection failed:", err.message);
+      // A rejected token won't start working by itself
+      if (err.code === "upstream_auth_failed") return;
+      on_close(1006, err.message);
+    });
+  }
+
+  function close() {
+    stopped = true;
+    stop_heartbeat();
+    ws?.close(1000);
+  }
+
+  return { connect, close };
+}
+
+async function handle_dispatch(event, data) {
+  switch (event) {
+    case "USER_UPDATE":
+      return record_user_update(data);
+    case "GUILD_MEMBER_UPDATE":
+      return record_member_update(data);
+    case "GUILD_UPDATE":
+      return avatarcyan_cache.del(`discord_guild_${data.id}`);
+  }
+}
+
+/**
+ * Connect to the Gateway and track profile changes, see ./tracking
+ * @returns {Object} - The gateway, { connect, close }
+ */
+function start_gateway() {
+  const gateway = create_gateway({
+    token: DISCORD_BOT_TOKEN,
+    intents: INTENTS.GUILDS | INTENTS.GUILD_MEMBERS,
+    on_dispatch: handle_dispatch,
+  });
+  gateway.connect();
+  return gateway;
+}
+
+/**
+ * Start the Gateway in its own process, which only reaches the API through shared storage
+ * @returns {Object|null} - The gateway, or null when the storage can't be shared
+ */
+function start_worker() {
+  if (TRACKING_BACKEND === "memory") {
+    logger.error(
+      "The Gateway worker can't run with TRACKING_BACKEND=memory, it would never see the webhooks registered through the API, nor the API its history. " +
+        "Set TRACKING_BACKEND (or CACHE_BACKEND) to redis, file or supabase, or run it inside the API with GATEWAY_ENABLED=true"
+    );
+    process.exitCode = 1;
+    return null;
+  }
+  if (avatarcyan_cache.backend.name === "memory") {
+    logger.warn("CACHE_BACKEND=memory: the API won't see the Gateway worker drop changed users, they update once their cache entry expires");
+  }
+  return start_gateway();
+}
+
+// `npm run worker` runs the Gateway on its own, without the HTTP server
+if (require.main === module) start_worker();
+
+module.exports = {
+  INTENTS,
+  create_gateway,
+  start_gateway,
+  start_worker,
+};
@@ -0,0 +1,127 @@
+const crypto = require("crypto");
+const { InvalidRequestError } = require("./errors");
+
+// Styles we can draw ourselves, the other fallbacks come from upstream or are a 404
+const GENERATED_STYLES = ["identicon", "initials"];
+const FALLBACKS = [...GENERATED_STYLES, "discord", "404"];
+
+function hash_seed(seed) {
+  return crypto.createHash("sha256").update(String(seed)).digest();
+}
+
+function escape_xml(text) {
+  return String(text).replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * Read the ?fallback= parameter of a pfp route
+ * @param {string} value - The raw query value
+ * @param {Object} options
+ * @param {string} options.default - Used when the parameter is missing
+ * @param {Array<string>} options.allowed - Fallbacks the route supports
+ * @returns {string} - One of identicon, initials, discord, 404
+ * @throws {InvalidRequestError} - When the value isn't allowed
+ */
+function parse_fallback(value, { default: fallback = "discord", allowed = FALLBACKS } = {}) {
+  if (value === undefined || value === "") return fallback;
+  if (!allowed.includes(value)) {
+    throw new InvalidRequestError(`Invalid fallback: expected one of ${allowed.join(", ")}`, { code: "invalid_parameter" });
+  }
+  return value;
+}
+
+/**
+ * Turn Discord's integer accent_color into a CSS hex color
+ * @param {number} accent_color - Like 5793266
+ * @returns {string|null} - Like "#5865f2", or null when there's no accent color
+ */
+function accent_hex(accent_color) {
+  if (!Number.isInteger(accent_color) || accent_color < 0) return null;
+  return `#${accent_color.toString(16).padStart(6, "0")}`;
+}
+
+/**
+ * Up to two initials from a display name, like "Yellow Greg" -> "YG"
+ * @param {string} name - The name to take initials from
+ * @returns {string} - The initials, or "?" when there's nothing usable
+ */
+function get_initials(name) {
+  const words = String(name || "").replace(/[_.-]+/g, " ").trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return "?";
+  // Spread into code points so emoji and non-Latin letters aren't cut in half
+  const letters = words.length > 1
+    ? [[...words[0]][0], [...words[words.length - 1]][0]]
+    : [...words[0]].slice(0, 2);
+  return letters.join("").toUpperCase();
+}
+
+// The same seed always maps to the same hue
+function seed_color(seed) {
+  const hue = hash_seed(seed).readUInt16BE(0) % 360;
+  return `hsl(${hue}, 55%, 45%)`;
+}
+
+/**
+ * Render an initials-on-color avatar
+ * @param {Object} options
+ * @param {string} options.name - Name the initials are taken from
+ * @param {string} options.seed - Picks the background color, usually the user ID
+ * @param {number} options.size - Width and height in pixels
+ * @param {string} options.color - Background color, overrides the seeded one
+ * @returns {string} - The SVG document
+ */
+function initials_svg({ name, seed, size = 512, color }) {
+  const text = escape_xml(get_initials(name));
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 100 100">`
+    + `<rect width="100" height="100" fill="${color || seed_color(seed ?? name)}"/>`
+    + `<text x="50" y="50" dy="0.35em" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="40" font-weight="600" fill="#fff">${text}</text>`
+    + `</svg>`;
+}
+
+/**
+ * Render a 5x5 mirrored identicon, like GitHub's default avatars
+ * @param {Object} options
+ * @param {string} options.seed - Picks the pattern and color, usually the user ID
+ * @param {number} options.size - Width and height in pixels
+ * @param {string} options.color - Foreground color, overrides the seeded one
+ * @returns {string} - The SVG document
+ */
+function identicon_svg({ seed, size = 512, color }) {
+  const hash = hash_seed(seed);
+  const cells = [];
+  // Only the left three columns come from the hash, the right two mirror them
+  for (let row = 0; row < 5; row++) {
+    for (let col = 0; col < 3; col++) {
+      if (hash[2 + row * 3 + col] % 2 === 0) continue;
+      cells.push([col, row]);
+      if (col < 2) cells.push([4 - col, row]);
+    }
+  }
+  const rects = cells.map(([x, y]) => `<rect x="${x + 0.5}" y="${y + 0.5}" width="1" height="1"/>`).join("");
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 6 6" shape-rendering="crispEdges">`
+    + `<rect width="6" height="6" fill="#f0f0f0"/>`
+    + `<g fill="${color || seed_color(seed)}">${rects}</g>`
+    + `</svg>`;
+}
+
+/**
+ * Render a generated avatar in one of GENERATED_STYLES
+ * @param {string} style - "identicon" or "initials"
+ * @param {Object} options - { name, seed, size, color }, see initials_svg and identicon_svg
+ * @returns {string} - The SVG document
+ */
+function generated_avatar_svg(style, options) {
+  return style === "identicon" ? identicon_svg(options) : initials_svg(options);
+}
+
+module.exports = {
+  escape_xml,
+  GENERATED_STYLES,
+  FALLBACKS,
+  parse_fallback,
+  accent_hex,
+  get_initials,
+  initials_svg,
+  identicon_svg,
+  generated_avatar_svg,
+};
@@ -0,0 +1,161 @@
+const crypto = require("crypto");
+const { create_upstream_client, read_github_limits } = require("./upstream");
+require("dotenv").config();
+
+const GITHUB_API_URL = "https://api.github.com";
+const USER_AGENT = "Node.js Server";
+// Installation tokens last an hour, swap them out a little before GitHub does
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Vercel and most .env files can't hold a multi-line PEM, so accept it with escaped newlines or base64 encoded
+function read_private_key(value) {
+  const text = value.includes("-----BEGIN") ? value : Buffer.from(value, "base64").toString("utf8");
+  return text.replace(/\\n/g, "\n");
+}
+
+/**
+ * Sign the short-lived JWT a GitHub App authenticates as
+ * @param {Object} options
+ * @param {string} options.app_id - The App ID (or client ID)
+ * @param {string} options.private_key - PEM private key downloaded from the App settings
+ * @returns {string} - The RS256 JWT, valid for 9 minutes
+ */
+function create_app_jwt({ app_id, private_key }) {
+  const now = Math.floor(Date.now() / 1000);
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString("base64url");
+  // Backdated a minute for clock drift, GitHub rejects anything valid for over 10 minutes
+  const body = `${encode({ alg: "RS256", typ: "JWT" })}.${encode({ iat: now - 60, exp: now + 540, iss: String(app_id) })}`;
+  const signature = crypto.sign("RSA-SHA256", Buffer.from(body), private_key).toString("base64url");
+  return `${body}.${signature}`;
+}
+
+// Remaining quota per rate-limit bucket ("core", "graphql"...) for one credential
+function create_quota() {
+  const buckets = new Map();
+  const routes = new Map();
+
+  return {
+    // Unknown or already reset buckets count as full
+    remaining(key) {
+      const bucket = buckets.get(routes.get(key) || "core");
+      return bucket && bucket.reset_at > Date.now() ? bucket.remaining : Infinity;
+    },
+    reset_at(key) {
+      return buckets.get(routes.get(key) || "core")?.reset_at ?? 0;
+    },
+    record(key, limits) {
+      if (!limits || limits.remaining === undefined) return;
+      const name = limits.bucket || "core";
+      routes.set(key, name);
+      buckets.set(name, { remaining: limits.remaining, reset_at: limits.reset_at ?? 0 });
+    },
+  };
+}
+
+/**
+ * Credentials for a GitHub App installation, exchanging the App JWT for an installation token
+ * and refreshing it before it expires
+ * @param {Object} options
+ * @param {string} options.app_id - The App ID
+ * @param {string} options.private_key - PEM private key of the App
+ * @param {string} options.installation_id - ID of the installation whose token is used
+ * @returns {Object} - { mode, acquire, report }
+ */
+function create_app_credentials({ app_id, private_key, installation_id }) {
+  const app_api = create_upstream_client({
+    name: "GitHub App API",
+    base_url: GITHUB_API_URL,
+    headers: () => ({ "User-Agent": USER_AGENT, Authorization: `Bearer ${create_app_jwt({ app_id, private_key })}` }),
+    read_limits: read_github_limits,
+  });
+  let token = null;
+  let pending = null;
+
+  async function refresh() {
+    const res = await app_api.request(`/app/installations/${encodeURIComponent(installation_id)}/access_tokens`, {
+      method: "POST",
+    });
+    const data = await res.json();
+    token = { value: data.token, expires_at: Date.parse(data.expires_at) };
+    return token.value;
+  }
+
+  async function installation_token() {
+    if (token && token.expires_at - TOKEN_REFRESH_MARGIN_MS > Date.now()) return token.value;
+    // Concurrent callers share one refresh
+    pending ||= refresh().finally(() => {
+      pending = null;
+    });
+    return pending;
+  }
+
+  return {
+    mode: "app",
+    async acquire() {
+      return { id: "app", headers: { Authorization: `Bearer ${await installation_token()}` } };
+    },
+    // The client already tracks the installation's buckets, only a rejected token needs handling here
+    report(id, key, res) {
+      // Revoked or expired early, so get a new one on the next call
+      if (res.status === 401) token = null;
+    },
+  };
+}
+
+/**
+ * Credentials that rotate through several tokens, always using the one with the most quota left
+ * @param {Array<string>} tokens - Personal access tokens
+ * @returns {Object} - { mode, acquire, report }
+ */
+function create_token_pool(tokens) {
+  const entries = tokens.map((token, i) => ({ id: `token_${i + 1}`, token, quota: create_quota() }));
+
+  return {
+    mode: "tokens",
+    async acquire(key) {
+      // Most quota left wins, and once every token is spent the one that resets first
+      const best = entries.reduce((best, entry) => {
+        const left = entry.quota.remaining(key);
+        const best_left = best.quota.remaining(key);
+        if (left !== best_left) return left > best_left ? entry : best;
+        return entry.quota.reset_at(key) < best.quota.reset_at(key) ? entry : best;
+      });
+      return { id: best.id, headers: { Authorization: `Bearer ${best.token}` } };
+    },
+    report(id, key, res, limits) {
+      entries.find((entry) => entry.id === id)?.quota.record(key, limits);
+    },
+  };
+}
+
+/**
+ * Pick GitHub credentials from the environment: a GitHub App when GITHUB_APP_* is set,
+ * otherwise a pool of GITHUB_TOKENS and GITHUB_TOKEN
+ * @param {Object} env - Usually process.env
+ * @returns {Object} - { mode, acquire, report }, see create_upstream_client
+ */
+function create_github_credentials(env = process.env) {
+  if (env.GITHUB_APP_ID && env.GITHUB_APP_PRIVATE_KEY && env.GITHUB_APP_INSTALLATION_ID) {
+    return create_app_credentials({
+      app_id: env.GITHUB_APP_ID,
+      private_key: read_private_key(env.GITHUB_APP_PRIVATE_KEY),
+      installation_id: env.GITHUB_APP_INSTALLATION_ID,
+    });
+  }
+
+  const tokens = [...new Set([...(env.GITHUB_TOKENS || "").split(","), env.GITHUB_TOKEN || ""]
+    .map((token) => token.trim())
+    .filter(Boolean))];
+  if (tokens.length === 0) {
+    throw new Error("Missing GITHUB_TOKEN in .env (or GITHUB_TOKENS, or GITHUB_APP_ID, GITHUB_APP_PRIVATE_KEY and GITHUB_APP_INSTALLATION_ID)");
+  }
+  return create_token_pool(tokens);
+}
+
+module.exports = {
+  USER_AGENT,
+  create_app_jwt,
+  create_app_credentials,
+  create_token_pool,
+  create_github_credentials,
+};
@@ -0,0 +1,109 @@
+const crypto = require("crypto");
+const { OUTPUT_FORMATS } = require("./image");
+const { route_kind } = require("./rate_limit");
+require("dotenv").config();
+
+// Avatar routes keep the same URL when the avatar changes, so browsers only keep them briefly
+// and revalidate with the ETag, while the edge may serve a stale copy as it refreshes
+const HTTP_IMAGE_MAX_AGE = parseInt(process.env.HTTP_IMAGE_MAX_AGE || "300", 10);
+const HTTP_IMAGE_S_MAXAGE = parseInt(process.env.HTTP_IMAGE_S_MAXAGE || "600", 10);
+const HTTP_JSON_MAX_AGE = parseInt(process.env.HTTP_JSON_MAX_AGE || "60", 10);
+const HTTP_JSON_S_MAXAGE = parseInt(process.env.HTTP_JSON_S_MAXAGE || "300", 10);
+const HTTP_STALE_WHILE_REVALIDATE = parseInt(process.env.HTTP_STALE_WHILE_REVALIDATE || "86400", 10);
+
+const DAY = 24 * 60 * 60;
+
+const CACHE_POLICIES = {
+  image: `public, max-age=${HTTP_IMAGE_MAX_AGE}, s-maxage=${HTTP_IMAGE_S_MAXAGE}, stale-while-revalidate=${HTTP_STALE_WHILE_REVALIDATE}`,
+  json: `public, max-age=${HTTP_JSON_MAX_AGE}, s-maxage=${HTTP_JSON_S_MAXAGE}, stale-while-revalidate=${HTTP_STALE_WHILE_REVALIDATE}`,
+  // Lists and icons that only change with a deploy, like badges and providers
+  static: `public, max-age=${DAY}, s-maxage=${DAY}, stale-while-revalidate=${7 * DAY}`,
+  // Content-addressed, like archived images
+  immutable: "public, max-age=31536000, immutable",
+  // Admin routes and live status
+  none: "no-store",
+};
+
+/**
+ * Express middleware that sets the Cache-Control of a route
+ * @param {string} policy - One of CACHE_POLICIES
+ * @returns {Function} - The middleware
+ */
+function cache_for(policy) {
+  return (req, res, next) => {
+    res.set("Cache-Control", CACHE_POLICIES[policy]);
+    next();
+  };
+}
+
+// Every route gets the policy of its kind until it says otherwise. Only reads are ever public
+function default_cache_control(req, res, next) {
+  const readable = req.method === "GET" || req.method === "HEAD";
+  res.set("Cache-Control", CACHE_POLICIES[readable ? route_kind(req.path) : "none"]);
+  next();
+}
+
+/**
+ * Resolve ?format=auto from the Accept header: WebP when the client takes it, since it keeps
+ * animations and is smaller than PNG, otherwise the source's own format. Responses then depend
+ * on Accept, which caches learn from Vary
+ */
+function negotiate_format(req, res, next) {
+  if (req.query.format !== "auto") return next();
+  res.vary("Accept");
+  if (/\bimage\/webp\b/.test(req.get("Accept") || "")) req.query.format = "webp";
+  else delete req.query.format;
+  next();
+}
+
+/**
+ * A strong ETag for whatever identifies a response, like the URL of a hashed avatar and the
+ * transformation applied to it. Same parts, same bytes
+ * @param {...*} parts - Strings, buffers or JSON-able values
+ * @returns {string} - The quoted ETag
+ */
+function strong_etag(...parts) {
+  const hash = crypto.createHash("sha256");
+  for (const part of parts) {
+    hash.update(Buffer.isBuffer(part) ? part : typeof part === "string" ? part : JSON.stringify(part ?? null));
+    hash.update("\0");
+  }
+  return `"${hash.digest("base64url").slice(0, 32)}"`;
+}
+
+/**
+ * Set the ETag and answer 304 when the client's copy is still current
+ * @param {Object} res - The Express response
+ * @param {string} etag - From strong_etag
+ * @returns {boolean} - Whether a 304 was sent and the route is done
+ */
+function send_not_modified(res, etag) {
+  res.set("ETag", etag);
+  if (!res.req.fresh) return false;
+  res.status(304).end();
+  return true;
+}
+
+/**
+ * Answer a HEAD request for an image with its headers, without fetching the image
+ * @param {Object} res - The Express response
+ * @param {string} format - The output format when it's known up front
+ * @returns {boolean} - Whether it was a HEAD request and the route is done
+ */
+function send_head(res, format) {
+  if (res.req.method !== "HEAD") return false;
+  const content_type = format === "svg" ? "image/svg+xml" : OUTPUT_FORMATS[format];
+  if (content_type) res.set("Content-Type", content_type);
+  res.status(200).end();
+  return true;
+}
+
+module.exports = {
+  CACHE_POLICIES,
+  cache_for,
+  default_cache_control,
+  negotiate_format,
+  strong_etag,
+  send_not_modified,
+  send_head,
+};
@@ -0,0 +1,89 @@
+const { get_provider } = require("./providers");
+const { hash_email } = require("./providers/gravatar");
+const { ApiError, InvalidRequestError, NotFoundError } = require("./errors");
+const { GENERATED_STYLES, parse_fallback, accent_hex, generated_avatar_svg } = require("./generated");
+const { logger } = require("./request_context");
+require("dotenv").config();
+
+const IDENTITY_PRIORITY = (process.env.IDENTITY_PRIORITY || "discord,github,gitlab,bluesky,steam,gravatar")
+  .split(",")
+  .map((name) => name.trim().toLowerCase())
+  .filter(Boolean);
+
+function parse_order(order) {
+  if (order === undefined) return IDENTITY_PRIORITY;
+  const names = String(order).split(",").map((name) => name.trim().toLowerCase()).filter(Boolean);
+  const unknown = names.find((name) => !get_provider(name));
+  if (unknown) throw new InvalidRequestError(`Unknown provider "${unknown}" in order`, { code: "unknown_provider" });
+  return names;
+}
+
+/**
+ * Pick the identifiers from an /api/identity query, in priority order
+ * @param {Object} query - The Express req.query object, like { discord, github, email, order }
+ * @returns {Array<Object>} - [{ source, id }] to try, best first
+ */
+function parse_identity_query(query) {
+  const sources = parse_order(query.order)
+    .map((source) => {
+      // An email is only ever sent to Gravatar as a hash, and never echoed back
+      if (source === "gravatar" && !query.gravatar && query.email) return { source, id: hash_email(String(query.email)) };
+      return { source, id: query[source] };
+    })
+    .filter(({ source, id }) => typeof id === "string" && id !== "" && get_provider(source));
+
+  if (sources.length === 0) {
+    throw new InvalidRequestError("Provide at least one identifier, like ?discord=...&github=...&email=...", {
+      code: "missing_identifier",
+    });
+  }
+  return sources;
+}
+
+/**
+ * Try each source in order and return the first one with a custom avatar,
+ * falling back to a generated avatar (?fallback=initials|identicon) or a 404 when none has one
+ * @param {Object} query - The Express req.query object
+ * @returns {Promise<Object>} - { source, id, provider, profile, tried } or a generated result
+ * @throws {NotFoundError} - With ?fallback=404 when no source has a custom avatar
+ */
+async function resolve_identity(query) {
+  const fallback = parse_fallback(query.fallback, { default: "initials", allowed: [...GENERATED_STYLES, "404"] });
+  const sources = parse_identity_query(query);
+  const tried = [];
+  let display_name;
+  let color = null;
+
+  for (const { source, id } of sources) {
+    const provider = get_provider(source);
+    try {
+      provider.validate_id(id);
+      const profile = await provider.fetch_profile(id);
+      display_name ||= provider.to_json(profile).display_name;
+      color ||= accent_hex(provider.accent_color?.(profile));
+
+      if (await provider.has_custom_avatar(profile)) {
+        return { source, id, provider, profile, display_name, tried };
+      }
+      tried.push({ source, id, result: "default_avatar" });
+    } catch (err) {
+      if (!(err instanceof ApiError) || err.status >= 500) logger.error(`Identity lookup failed for ${source}:`, err);
+      tried.push({ source, id, result: err.status === 404 ? "not_found" : "error", code: err.code || "internal_error" });
+    }
+  }
+
+  if (fallback === "404") throw new NotFoundError("None of the identifiers has an avatar", { code: "avatar_not_found" });
+
+  // Seed with the best identifier so the same person keeps the same colors
+  const seed = `${sources[0].source}:${sources[0].id}`;
+  // Gravatar ids are email hashes, which make for meaningless initials
+  const name = display_name || sources.find(({ source }) => source !== "gravatar")?.id || null;
+  return { source: "generated", id: null, generated: fallback, display_name: name, seed, color, tried };
+}
+
+function generated_svg(identity, size) {
+  const { generated, display_name, seed, color } = identity;
+  return generated_avatar_svg(generated, { name: display_name, seed, size, color });
+}
+
+module.exports = { IDENTITY_PRIORITY, parse_identity_query, resolve_identity, generated_svg };
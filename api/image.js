@@ -0,0 +1,368 @@
+const sharp = require("sharp");
+const { InvalidRequestError, NotFoundError } = require("./errors");
+
+const CDN_SIZES = [16, 32, 64, 128, 256, 512, 1024, 2048, 4096];
+const MIN_SIZE = 16;
+const MAX_SIZE = 4096;
+
+const OUTPUT_FORMATS = {
+  png: "image/png",
+  webp: "image/webp",
+  avif: "image/avif",
+  jpeg: "image/jpeg",
+  jpg: "image/jpeg",
+  gif: "image/gif",
+};
+// Output formats that can keep an animation, anything else gets the first frame
+const ANIMATED_FORMATS = ["gif", "webp"];
+const ANIMATION_MODES = ["auto", "true", "false"];
+// Discord draws decorations 20% larger than the avatar they frame
+const DECORATION_SCALE = 1.2;
+const SHAPES = ["circle", "rounded"];
+const FITS = ["cover", "contain", "fill", "inside", "outside"];
+
+// Query parameters that always force the bytes through the pipeline
+const TRANSFORM_PARAMS = ["width", "height", "fit", "shape", "radius", "border", "border_width", "bg", "grayscale", "blur", "quality"];
+
+/**
+ * Smallest CDN size that is at least as large as the requested one,
+ * so we never upscale what Discord/GitHub could have sent us directly
+ * @param {number} size - Requested size in pixels
+ * @returns {number} - A size the CDNs accept
+ */
+function cdn_size(size) {
+  return CDN_SIZES.find((s) => s >= size) || MAX_SIZE;
+}
+
+function parse_int(value) {
+  if (value === undefined || value === "") return undefined;
+  const n = Number(value);
+  return Number.isInteger(n) ? n : NaN;
+}
+
+function parse_color(value) {
+  if (value === "transparent") return { r: 0, g: 0, b: 0, alpha: 0 };
+  const hex = String(value).replace(/^#/, "");
+  if (!/^([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex)) return null;
+  const full = hex.length === 3 ? hex.split("").map((c) => c + c).join("") : hex;
+  return {
+    r: parseInt(full.slice(0, 2), 16),
+    g: parseInt(full.slice(2, 4), 16),
+    b: parseInt(full.slice(4, 6), 16),
+    alpha: full.length === 8 ? parseInt(full.slice(6, 8), 16) / 255 : 1,
+  };
+}
+
+const invalid = (message) => new InvalidRequestError(message, { code: "invalid_parameter" });
+
+function parse_bool(value) {
+  return value === "" || value === "1" || value === "true";
+}
+
+/**
+ * Validate a ?format= value
+ * @param {string} value - The raw query value
+ * @returns {string|undefined} - The format, with jpg normalized to jpeg
+ * @throws {InvalidRequestError} - When the format is unknown
+ */
+function parse_format(value) {
+  if (value === undefined) return undefined;
+  if (!OUTPUT_FORMATS[value]) throw invalid(`Invalid format: expected one of ${Object.keys(OUTPUT_FORMATS).join(", ")}`);
+  return value === "jpg" ? "jpeg" : value;
+}
+
+/**
+ * Validate an ?animated= value
+ * @param {string} value - The raw query value
+ * @returns {string} - "auto", "true" or "false"
+ * @throws {InvalidRequestError} - When the value is unknown
+ */
+function parse_animation(value) {
+  if (value === undefined || value === "") return "auto";
+  if (!ANIMATION_MODES.includes(value)) throw invalid(`Invalid animated: expected one of ${ANIMATION_MODES.join(", ")}`);
+  return value;
+}
+
+/**
+ * Read image transformation options from a request query
+ * @param {Object} query - The Express req.query object
+ * @param {Object} defaults - Route defaults, like { size: 512 } or { width: 600 }, plus
+ *                            `upstream_formats` the source can already encode to
+ * @returns {Object} - The options plus `active` (whether the bytes need processing), `processing`
+ *                     (whether they do regardless of format) and `upstream_size`
+ * @throws {InvalidRequestError} - When a parameter is invalid
+ */
+function parse_transform_options(query, defaults = {}) {
+  const options = {};
+
+  // An explicit width/height replaces the route's default size instead of mixing with it
+  const explicit_size = query.width !== undefined || query.height !== undefined;
+  const width = explicit_size ? parse_int(query.width) : defaults.width ?? defaults.size;
+  const height = explicit_size ? parse_int(query.height) : defaults.height ?? defaults.size;
+  for (const [name, value] of Object.entries({ width, height })) {
+    if (value === undefined) continue;
+    if (Number.isNaN(value) || value < MIN_SIZE || value > MAX_SIZE) {
+      throw invalid(`Invalid ${name}: must be an integer between ${MIN_SIZE} and ${MAX_SIZE}`);
+    }
+  }
+  options.width = width;
+  options.height = height;
+
+  if (query.fit !== undefined) {
+    if (!FITS.includes(query.fit)) throw invalid(`Invalid fit: expected one of ${FITS.join(", ")}`);
+    options.fit = query.fit;
+  }
+
+  if (query.shape !== undefined) {
+    if (!SHAPES.includes(query.shape)) throw invalid(`Invalid shape: expected one of ${SHAPES.join(", ")}`);
+    options.shape = query.shape;
+  }
+
+  if (query.radius !== undefined) {
+    const radius = parse_int(query.radius);
+    if (Number.isNaN(radius) || radius < 0 || radius > 50) {
+      throw invalid("Invalid radius: must be a percentage between 0 and 50");
+    }
+    options.radius = radius;
+  }
+
+  for (const name of ["border", "bg"]) {
+    if (query[name] === undefined) continue;
+    const color = parse_color(query[name]);
+    if (!color) throw invalid(`Invalid ${name}: expected a hex color like ff0000 or "transparent"`);
+    options[name] = color;
+  }
+
+  if (query.border_width !== undefined) {
+    const border_width = parse_int(query.border_width);
+    if (Number.isNaN(border_width) || border_width < 1 || border_width > 256) {
+      throw invalid("Invalid border_width: must be an integer between 1 and 256");
+    }
+    options.border_width = border_width;
+  }
+
+  if (query.grayscale !== undefined) options.grayscale = parse_bool(query.grayscale);
+
+  if (query.blur !== undefined) {
+    const blur = Number(query.blur);
+    if (!Number.isFinite(blur) || blur < 0.3 || blur > 100) {
+      throw invalid("Invalid blur: must be a number between 0.3 and 100");
+    }
+    options.blur = blur;
+  }
+
+  if (query.quality !== undefined) {
+    const quality = parse_int(query.quality);
+    if (Number.isNaN(quality) || quality < 1 || quality > 100) {
+      throw invalid("Invalid quality: must be an integer between 1 and 100");
+    }
+    options.quality = quality;
+  }
+
+  options.format = parse_format(query.format);
+  options.animation = parse_animation(query.animated);
+
+  // Sizes the CDN can serve directly don't need processing, everything else does
+  const native_size = (!width || CDN_SIZES.includes(width)) && (!height || height === width);
+  const explicit = TRANSFORM_PARAMS.some((name) => query[name] !== undefined);
+  const upstream_formats = defaults.upstream_formats || [];
+
+  options.processing = explicit || !native_size;
+  options.active = options.processing || (options.format !== undefined && !upstream_formats.includes(options.format));
+  options.upstream_size = width || height ? cdn_size(Math.max(width || 0, height || 0)) : undefined;
+  return options;
+}
+
+/**
+ * Settle the output format once we know whether the source image is animated
+ * @param {Object} options - Options from parse_transform_options
+ * @param {boolean} source_animated - Whether the upstream image is animated
+ * @param {Object} source - { upstream_formats, animated_formats } the CDN can encode, usually the provider
+ * @returns {Object} - The options with `animated`, the final `format`, `active` and the
+ *                     `upstream_format` to ask the CDN for (null for its default)
+ * @throws {NotFoundError} - With animated=true when the source isn't animated
+ * @throws {InvalidRequestError} - With animated=true and a format that can't animate
+ */
+function plan_output(options, source_animated, source = {}) {
+  const { upstream_formats = [], animated_formats = [] } = source;
+  const mode = options.animation || "auto";
+  if (mode === "true" && !source_animated) throw new NotFoundError("The image isn't animated", { code: "not_animated" });
+
+  const animated = source_animated && mode !== "false" && (!options.format || ANIMATED_FORMATS.includes(options.format));
+  if (mode === "true" && !animated) throw invalid(`Invalid format: animated=true needs one of ${ANIMATED_FORMATS.join(", ")}`);
+
+  // Animations default to GIF, the one animated format every CDN and browser handles
+  const format = options.format || (animated ? "gif" : undefined);
+  const native = format === undefined || (animated ? animated_formats : upstream_formats).includes(format);
+  const active = options.processing || !native;
+
+  let upstream_format = upstream_formats[0] ?? null;
+  if (!active && format) upstream_format = format;
+  else if (animated) upstream_format = "gif";
+
+  return { ...options, format, animated, active, upstream_format };
+}
+
+function shape_svg(shape, width, height, radius, attrs) {
+  const inset = attrs.inset || 0;
+  if (shape === "circle") {
+    return `<ellipse cx="${width / 2}" cy="${height / 2}" rx="${width / 2 - inset}" ry="${height / 2 - inset}" ${attrs.style}/>`;
+  }
+  const r = shape === "rounded" ? (Math.min(width, height) * radius) / 100 : 0;
+  return `<rect x="${inset}" y="${inset}" width="${width - inset * 2}" height="${height - inset * 2}" rx="${r}" ry="${r}" ${attrs.style}/>`;
+}
+
+function svg(width, height, body) {
+  return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${body}</svg>`);
+}
+
+function rgba({ r, g, b, alpha }) {
+  return `rgba(${r},${g},${b},${alpha})`;
+}
+
+/**
+ * Apply resize, crop, shape, border, background, filters and re-encoding to an image
+ * @param {Buffer} input - The source image bytes
+ * @param {Object} options - Options from parse_transform_options or plan_output; with `animated`
+ *                           every frame is processed, otherwise only the first one is kept
+ * @returns {Promise<Object>} - { data, content_type }
+ */
+async function transform_image(input, options = {}) {
+  const { width, height, fit = "cover", shape, radius = 15, border, bg, grayscale, blur, quality } = options;
+  const animated = Boolean(options.animated);
+  const format = options.format || "png";
+  // Lossless WebP keeps every frame between steps, PNG only holds the first
+  const intermediate = (image) => (animated ? image.webp({ lossless: true }) : image.png());
+
+  let pipeline = sharp(input, { animated }).ensureAlpha();
+  if (width || height) pipeline = pipeline.resize({ width, height, fit, background: { r: 0, g: 0, b: 0, alpha: 0 } });
+  if (grayscale) pipeline = pipeline.grayscale();
+  if (blur) pipeline = pipeline.blur(blur);
+
+  const { data: resized, info } = await intermediate(pipeline).toBuffer({ resolveWithObject: true });
+  // Animations are one tall strip of frames, so overlays are sized to a frame and tiled down the strip
+  const frame_height = info.pageHeight || info.height;
+  const layers = [];
+  const tile = { tile: true, gravity: "northwest" };
+
+  if (shape) {
+    const mask = shape_svg(shape, info.width, frame_height, radius, { style: 'fill="#fff"' });
+    layers.push({ input: svg(info.width, frame_height, mask), blend: "dest-in", ...tile });
+  }
+
+  if (border) {
+    const border_width = options.border_width || Math.max(2, Math.round(Math.min(info.width, frame_height) * 0.03));
+    const outline = shape_svg(shape, info.width, frame_height, radius, {
+      inset: border_width / 2,
+      style: `fill="none" stroke="${rgba(border)}" stroke-width="${border_width}"`,
+    });
+    layers.push({ input: svg(info.width, frame_height, outline), ...tile });
+  }
+
+  let output = sharp(resized, { animated });
+  if (layers.length) output = sharp(await intermediate(output.composite(layers)).toBuffer(), { animated });
+
+  // JPEG has no alpha channel, so fall back to white instead of sharp's black
+  const background = bg || (format === "jpeg" ? { r: 255, g: 255, b: 255, alpha: 1 } : null);
+  if (background && background.alpha > 0) output = output.flatten({ background });
+
+  const data = await output.toFormat(format, quality ? { quality } : {}).toBuffer();
+  return { data, content_type: OUTPUT_FORMATS[format] };
+}
+
+// Composites have to be rendered before flattening, and JPEG has no alpha so it's flattened onto white
+async function encode_composite(image, format, quality) {
+  if (format === "jpeg") image = sharp(await image.png().toBuffer()).flatten({ background: { r: 255, g: 255, b: 255 } });
+  const data = await image.toFormat(format, quality ? { quality } : {}).toBuffer();
+  return { data, content_type: OUTPUT_FORMATS[format] };
+}
+
+/**
+ * Composite an avatar with its decoration frame and guild tag badge, laid out the way Discord shows them
+ * @param {Buffer} avatar - The avatar image bytes, only the first frame is used
+ * @param {Object} options
+ * @param {Buffer} options.decoration - Decoration frame bytes, if the user has one
+ * @param {Buffer} options.badge - Guild tag badge bytes, drawn over the bottom right of the avatar
+ * @param {number} options.size - Width and height of the output, decoration included
+ * @param {string} options.format - Output format (default png)
+ * @param {number} options.quality - Encoder quality
+ * @returns {Promise<Object>} - { data, content_type }
+ */
+async function decorate_avatar(avatar, options) {
+  const { decoration, badge, size, format = "png", quality } = options;
+  const avatar_size = Math.round(size / DECORATION_SCALE);
+  const offset = Math.round((size - avatar_size) / 2);
+
+  const { data: round } = await transform_image(avatar, { width: avatar_size, height: avatar_size, shape: "circle" });
+  const layers = [{ input: round, left: offset, top: offset }];
+
+  if (decoration) {
+    layers.push({ input: await sharp(decoration).resize(size, size).png().toBuffer(), left: 0, top: 0 });
+  }
+  if (badge) {
+    const badge_size = Math.round(avatar_size * 0.3);
+    const { data } = await transform_image(badge, { width: badge_size, height: badge_size, fit: "contain" });
+    const position = offset + avatar_size - badge_size;
+    layers.push({ input: data, left: position, top: position });
+  }
+
+  const canvas = sharp({ create: { width: size, height: size, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } });
+  return encode_composite(canvas.composite(layers), format, quality);
+}
+
+/**
+ * Lay icons out side by side in one transparent image, like the badge row on a Discord profile
+ * @param {Array<Buffer>} icons - Icon image bytes, left to right
+ * @param {Object} options
+ * @param {number} options.size - Height of the strip and of every icon
+ * @param {number} options.gap - Pixels between icons
+ * @param {string} options.format - Output format (default png)
+ * @param {number} options.quality - Encoder quality
+ * @returns {Promise<Object>} - { data, content_type }
+ */
+async function compose_strip(icons, options) {
+  const { size, gap = 0, format = "png", quality } = options;
+  const transparent = { r: 0, g: 0, b: 0, alpha: 0 };
+
+  const layers = await Promise.all(icons.map(async (icon, i) => ({
+    input: await sharp(icon).resize(size, size, { fit: "contain", background: transparent }).png().toBuffer(),
+    left: i * (size + gap),
+    top: 0,
+  })));
+  const width = icons.length * size + (icons.length - 1) * gap;
+
+  const canvas = sharp({ create: { width, height: size, channels: 4, background: transparent } });
+  return encode_composite(canvas.composite(layers), format, quality);
+}
+
+/**
+ * Run a generated image through the pipeline, used by the status checks
+ * @returns {Promise<Object>} - Metadata of the produced image
+ */
+async function self_test() {
+  const sample = await sharp({
+    create: { width: 64, height: 64, channels: 4, background: { r: 88, g: 101, b: 242, alpha: 1 } },
+  }).png().toBuffer();
+
+  const { data } = await transform_image(sample, { width: 32, height: 32, shape: "circle", format: "webp" });
+  return sharp(data).metadata();
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  CDN_SIZES,
+  MIN_SIZE,
+  MAX_SIZE,
+  ANIMATED_FORMATS,
+  DECORATION_SCALE,
+  cdn_size,
+  parse_bool,
+  parse_format,
+  parse_animation,
+  parse_transform_options,
+  plan_output,
+  transform_image,
+  decorate_avatar,
+  compose_strip,
+  self_test,
+};
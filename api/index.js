@@ -1,133 +1,427 @@
 const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
-const rateLimit = require("express-rate-limit");
-const NodeCache = require("node-cache");
-const fetch = (...args) => import("node-fetch").then(({ default: f }) => f(...args));
+const { status_store } = require("./status_store");
 const {
-  save_status_log,
-  supabase,
-  get_service_uptime,
-  get_service_incidents,
-  get_uptime_summary,
-  get_all_service_statistics,
-} = require("./supabase");
+  MIN_SIZE,
+  MAX_SIZE,
+  DECORATION_SCALE,
+  cdn_size,
+  parse_bool,
+  parse_format,
+  parse_animation,
+  parse_transform_options,
+  plan_output,
+  transform_image,
+  decorate_avatar,
+  compose_strip,
+} = require("./image");
+const { RESOURCE_TTLS, fetch_cached } = require("./cache");
+const { create_upstream_client } = require("./upstream");
+const {
+  ApiError,
+  InvalidRequestError,
+  NotFoundError,
+  error_body,
+  error_handler,
+  async_handler,
+} = require("./errors");
+const { get_provider, list_providers } = require("./providers");
+const {
+  discord_provider,
+  isValidUserId,
+  validate_user_id,
+  validate_guild_id,
+  is_animated,
+  cdn_url,
+  default_avatar_url,
+  collectible_urls,
+  get_user_data,
+  get_avatar,
+  get_banner,
+  get_guild_data,
+  get_guild_member,
+  guild_image,
+  member_avatar,
+  format_guild,
+} = require("./providers/discord");
+const { resolve_identity, generated_svg } = require("./identity");
+const {
+  github_provider,
+  validate_github_username,
+  validate_github_org,
+  get_github_user,
+  get_github_repos,
+  get_repo_languages,
+  get_github_orgs,
+  get_github_org,
+  format_github_user,
+  format_github_repo,
+  format_github_org,
+  language_breakdown,
+  summarize_repos,
+} = require("./providers/github");
+const { BADGES, badge_icon_url, get_badge, decode_badges } = require("./badges");
+const { parse_card_options, card_cache_control, format_count, render_card } = require("./cards");
+const { GENERATED_STYLES, parse_fallback, accent_hex, generated_avatar_svg } = require("./generated");
+const { require_admin, require_cron, require_metrics } = require("./auth");
+const { rate_limit } = require("./rate_limit");
+const {
+  CACHE_POLICIES,
+  cache_for,
+  default_cache_control,
+  negotiate_format,
+  strong_etag,
+  send_not_modified,
+  send_head,
+} = require("./http_cache");
+const {
+  create_api_key,
+  list_api_keys,
+  get_public_api_key,
+  revoke_api_key,
+  rotate_api_key,
+  get_usage,
+} = require("./keys");
+const { get_history, list_webhooks, public_webhook, create_webhook, delete_webhook } = require("./tracking");
+const { get_archive, find_archived_entry, get_archived_image } = require("./archive");
+const { send_test_alert, get_alert_settings } = require("./alerts");
+const { logger, request_id } = require("./request_context");
+const { track_requests, count_image_bytes, cache_hit_rate, get_metrics } = require("./metrics");
+const {
+  STATUS_HISTORY_DAYS,
+  STATUS_PRIORITY,
+  get_current_status,
+  refresh_status,
+  start_status_checker,
+  get_status_history,
+  get_incidents,
+  create_maintenance_window,
+  list_maintenance,
+  cancel_maintenance_window,
+} = require("./status");
 require("dotenv").config();
 
 const app = express();
+
+app.use(request_id);
+app.use(track_requests);
 app.use(cors());
 app.use(helmet());
 app.set("trust proxy", 1);
+// Same body, same ETag, so JSON responses get strong validators like the images
+app.set("etag", "strong");
 
 const PORT = process.env.PORT || 3000;
-const DISCORD_BOT_TOKEN = process.env.DISCORD_BOT_TOKEN;
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-const CACHE_TTL = parseInt(process.env.CACHE_TTL || "60", 10);
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS || "200", 10);
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || "8", 10);
 
-if (!DISCORD_BOT_TOKEN) throw new Error("Missing DISCORD_BOT_TOKEN in .env");
-if (!GITHUB_TOKEN) throw new Error("Missing GITHUB_TOKEN in .env");
+const cdn = create_upstream_client({ name: "Image CDN", route_key: (url) => new URL(url).host });
+app.use(rate_limit);
+app.use(default_cache_control);
+app.use(negotiate_format);
 
-const avatarcyan_cache = new NodeCache({ stdTTL: CACHE_TTL });
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 100,
-});
-app.use(limiter);
+function sanitizeSize(size) {
+  return Number.isInteger(size) && size >= MIN_SIZE && size <= MAX_SIZE ? size : 512;
+}
 
-const isValidUserId = (id) => /^\d{17,20}$/.test(id);
+const DISCORD_FORMATS = discord_provider.upstream_formats;
+const DISCORD_URL_FORMATS = [...new Set([...DISCORD_FORMATS, ...discord_provider.animated_formats])];
 
-async function fetch_cached(key, fetchFn) {
-  const cached = avatarcyan_cache.get(key);
-  if (cached) return cached;
-  const result = await fetchFn();
-  avatarcyan_cache.set(key, result);
-  return result;
+async function get_image(url) {
+  const load = async () => {
+    const imageRes = await cdn.request(url);
+    return {
+      content_type: imageRes.headers.get("content-type"),
+      data: Buffer.from(await imageRes.arrayBuffer()),
+    };
+  };
+  // IMAGE_CACHE_TTL=0 turns image byte caching off
+  return RESOURCE_TTLS.image.ttl > 0 ? fetch_cached(`image_${url}`, load, "image") : load();
 }
 
-// Discord Functions
-async function get_user_data(userId) {
-  return fetch_cached(userId, async () => {
-    const res = await fetch(`https://discord.com/api/users/${userId}`, {
-      headers: { Authorization: `Bot ${DISCORD_BOT_TOKEN}` },
-    });
-    if (!res.ok) throw new Error(`Discord API error: ${res.status}`);
-    return res.json();
-  });
+// Images are embedded from other origins, which helmet's defaults would block
+function allow_embedding(res) {
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Cross-Origin-Resource-Policy", "cross-origin");
 }
 
-async function get_avatar(userId, options = {}) {
-  const { size = 512, format = null } = options;
-  const user = await get_user_data(userId);
+function send_rendered(res, { data, content_type }) {
+  allow_embedding(res);
+  res.set("Content-Type", content_type);
+  res.send(data);
+  count_image_bytes(res.req, Buffer.byteLength(data));
+}
+
+/**
+ * Answer with a 304, or the headers of a HEAD request, before anything is downloaded
+ * @param {Object} res - The Express response
+ * @param {string} etag - From strong_etag, over everything the image is made from
+ * @param {string} format - The output format, when it's known up front
+ * @returns {boolean} - Whether the route is done
+ */
+function send_early(res, etag, format) {
+  allow_embedding(res);
+  return send_not_modified(res, etag) || send_head(res, format);
+}
 
-  let url;
-  if (user.avatar) {
-    let ext = user.avatar.startsWith("a_") ? "gif" : "png";
-    if (format) ext = format;
+// The format the bytes will be in, if the CDN URL or the transformation settles it
+const output_format = (transform) => (transform.active ? transform.format : transform.upstream_format);
 
-    url = `https://cdn.discordapp.com/avatars/${userId}/${user.avatar}.${ext}?size=${size}`;
-  } else {
-    const index = user.discriminator ? parseInt(user.discriminator) % 5 : 0;
-    url = `https://cdn.discordapp.com/embed/avatars/${index}.png`;
+/**
+ * Send an image from a CDN, transformed if needed
+ * @param {Object} res - The Express response
+ * @param {string} url - The image URL
+ * @param {Object} transform - Options from parse_transform_options or plan_output
+ * @param {Object} options
+ * @param {boolean} options.versioned - Whether the URL changes whenever the image does (Discord's
+ *                                      hashes, Bluesky's CIDs...). Then the ETag comes from the URL
+ *                                      and 304s and HEAD skip the download, otherwise from the bytes
+ */
+async function send_image(res, url, transform = {}, { versioned = false } = {}) {
+  if (versioned && send_early(res, strong_etag(url, transform), output_format(transform))) return;
+  if (!versioned && send_head(res, output_format(transform))) return;
+
+  const image = await get_image(url);
+  if (!versioned && send_early(res, strong_etag(image.data, transform))) return;
+  if (!transform.active) return send_rendered(res, image);
+  send_rendered(res, await transform_image(image.data, transform));
+}
+
+// SVG goes out as is unless the caller asked for processing or a raster format
+async function send_generated(res, svg, transform) {
+  const raw = !transform.active && !transform.format;
+  if (send_early(res, strong_etag(svg, transform), raw ? "svg" : transform.format)) return;
+  if (raw) return send_rendered(res, { data: svg, content_type: "image/svg+xml" });
+  send_rendered(res, await transform_image(Buffer.from(svg), transform));
+}
+
+/**
+ * Send a user's avatar or banner, asking the CDN for whatever needs the least processing
+ * @param {Object} res - The Express response
+ * @param {Object} provider - A provider from ./providers
+ * @param {Object} profile - The user, from provider.fetch_profile
+ * @param {string} kind - "avatar" or "banner"
+ * @param {Object} transform - Options from parse_transform_options
+ */
+async function send_profile_image(res, provider, profile, kind, transform) {
+  const output = plan_output(transform, Boolean(provider.is_animated?.(profile, kind)), provider);
+  const options = { size: output.upstream_size, format: output.upstream_format, animated: output.animated };
+  const url = kind === "banner" ? provider.banner_url(profile, options) : provider.avatar_url(profile, options);
+  if (!url) throw new NotFoundError(`User has no ${kind}`, { code: `${kind}_not_found` });
+  await send_image(res, url, output, { versioned: Boolean(provider.versioned_urls) });
+}
+
+/**
+ * Send a user's avatar, or what ?fallback= asks for when they only have a default one
+ * @param {Object} req - The Express request
+ * @param {Object} res - The Express response
+ * @param {Object} provider - A provider from ./providers
+ * @param {string} id - The already validated user ID or username
+ * @param {number} size - The route's default size
+ */
+async function send_avatar(req, res, provider, id, size) {
+  const fallback = parse_fallback(req.query.fallback);
+  const transform = parse_transform_options(req.query, { size, upstream_formats: provider.upstream_formats });
+
+  let profile = null;
+  try {
+    profile = await provider.fetch_profile(id);
+  } catch (err) {
+    // Unknown users get a generated avatar too, the same way Gravatar's d=identicon works
+    if (err.status !== 404 || !GENERATED_STYLES.includes(fallback)) throw err;
+  }
+
+  const has_custom = profile !== null && (await provider.has_custom_avatar(profile));
+  if (!has_custom && fallback === "404") {
+    throw new NotFoundError("User has no avatar", { code: "avatar_not_found" });
   }
 
+  if (!has_custom && GENERATED_STYLES.includes(fallback)) {
+    const svg = generated_avatar_svg(fallback, {
+      name: profile ? provider.to_json(profile).display_name : id,
+      // Seeded by the requested ID so the image doesn't change once the user is found
+      seed: `${provider.name}:${id.toLowerCase()}`,
+      size: transform.width || transform.height || 512,
+      color: profile ? accent_hex(provider.accent_color?.(profile)) : null,
+    });
+    res.set("X-Avatar-Fallback", fallback);
+    return send_generated(res, svg, transform);
+  }
+
+  await send_profile_image(res, provider, profile, "avatar", transform);
+}
+
+// Like send_profile_image, for Discord images that don't belong to a user (guild icons, member avatars...)
+async function send_discord_image(res, image, transform) {
+  const output = plan_output(transform, is_animated(image.hash), discord_provider);
+  const options = { size: output.upstream_size, format: output.upstream_format, animated: output.animated };
+  await send_image(res, cdn_url(image.path, image.hash, options), output, { versioned: true });
+}
+
+// Archived images are listed with the URL of the route that serves them
+function format_archive(entries, base_url) {
+  const format = ({ kind, ...entry }) => ({ ...entry, url: `${base_url}/${entry.hash}` });
   return {
-    id: user.id,
-    username: user.username,
-    display_name: user.global_name || user.username,
-    avatarUrl: url,
-    discriminator: user.discriminator,
+    avatars: entries.filter((entry) => entry.kind === "avatar").map(format),
+    banners: entries.filter((entry) => entry.kind === "banner").map(format),
   };
 }
 
-async function get_banner(userId, options = {}) {
-  const { size = 512, format = null } = options;
-  const user = await get_user_data(userId);
+async function send_archived_image(req, res, provider, user_id, hash) {
+  const entry = await find_archived_entry(provider, user_id, hash);
+  const stored_format = entry.content_type?.split("/")[1];
+  const animated = entry.content_type === "image/gif";
+  // Anything but the stored format and animation goes through the image pipeline
+  let transform = plan_output(parse_transform_options(req.query), animated, {
+    upstream_formats: [stored_format],
+    animated_formats: animated ? [stored_format] : [],
+  });
+  // There's no CDN to ask for the first frame, so a still of an animation is made here
+  if (animated && !transform.animated) transform = { ...transform, format: transform.format || "png", active: true };
+  // Archived images never change, so clients can keep them
+  res.set("Cache-Control", CACHE_POLICIES.immutable);
+  res.set("Last-Modified", new Date(entry.first_seen).toUTCString());
+  if (send_early(res, strong_etag(provider, user_id, hash, transform), transform.active ? transform.format : stored_format)) return;
 
-  if (!user.banner) throw new Error("User has no banner");
-  let ext = user.banner.startsWith("a_") ? "gif" : "png";
+  const image = await get_archived_image(provider, user_id, entry);
+  if (!transform.active) return send_rendered(res, image);
+  send_rendered(res, await transform_image(image.data, transform));
+}
 
-  if (format) ext = format;
-  const url = `https://cdn.discordapp.com/banners/${userId}/${user.banner}.${ext}?size=${size}`;
+// Batch Functions
+async function map_with_concurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+// Numeric IDs are Discord snowflakes, anything else is a GitHub username.
+// A "<provider>:" prefix picks the source, e.g. "gitlab:alice" or "github:1234" for numeric logins.
+function parse_batch_id(raw) {
+  const value = String(raw).trim();
+  const match = value.match(/^([a-z]+):(.+)$/i);
+  const source = match ? match[1].toLowerCase() : isValidUserId(value) ? "discord" : "github";
+  const id = match ? match[2] : value;
+  const provider = get_provider(source);
 
-  return { id: user.id, bannerUrl: url };
+  try {
+    if (!provider) throw new InvalidRequestError(`Unknown provider "${source}"`, { code: "unknown_provider" });
+    provider.validate_id(id);
+  } catch (error) {
+    return { source, id, error };
+  }
+  return { source, id, provider };
 }
 
-function sanitizeSize(size) {
-  const allowed = [16,32,64,128,256,512,1024,2048,4096];
-  return allowed.includes(size) ? size : 512;
+// Failed items carry the batch's request ID, like any other error body
+async function resolve_batch_item(raw, request_id) {
+  const { source, id, provider, error } = parse_batch_id(raw);
+  if (error) return { input: raw, source, id, ok: false, ...error_body(error, request_id) };
+
+  try {
+    const data = provider.to_json(await provider.fetch_profile(id));
+    return { input: raw, source, id, ok: true, data };
+  } catch (err) {
+    if (!(err instanceof ApiError) || err.status >= 500) logger.error(err);
+    return {
+      input: raw,
+      source,
+      id,
+      ok: false,
+      ...error_body(err, request_id),
+      ...(err.retry_after !== undefined && { retry_after: Math.ceil(err.retry_after) }),
+    };
+  }
 }
 
-// GitHub Function
-async function get_github_user(username) {
-  return fetch_cached(`github_${username}`, async () => {
-    const res = await fetch(`https://api.github.com/users/${username}`, {
-      headers: {
-        "User-Agent": "Node.js Server",
-        Authorization: `token ${GITHUB_TOKEN}`,
-      },
-    });
-    if (!res.ok) throw new Error(`GitHub API error: ${res.status}`);
-    return res.json();
+async function run_batch(ids, res) {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw new InvalidRequestError("Provide a non-empty list of ids", { code: "invalid_batch" });
+  }
+  if (ids.length > BATCH_MAX_ITEMS) {
+    throw new InvalidRequestError(`Too many ids: maximum is ${BATCH_MAX_ITEMS}`, { code: "invalid_batch" });
+  }
+  if (ids.some((id) => typeof id !== "string" && typeof id !== "number")) {
+    throw new InvalidRequestError("Each id must be a string", { code: "invalid_batch" });
+  }
+
+  // Duplicate ids share one lookup but still get one result each, in request order
+  const unique = [...new Set(ids.map(String))];
+  const resolved = await map_with_concurrency(unique, BATCH_CONCURRENCY, (raw) => resolve_batch_item(raw, res.req.id));
+  const by_input = new Map(resolved.map((item) => [item.input, item]));
+  const results = ids.map((id) => by_input.get(String(id)));
+
+  res.json({
+    count: results.length,
+    succeeded: results.filter((r) => r.ok).length,
+    failed: results.filter((r) => !r.ok).length,
+    results,
   });
 }
 
 // routes
-app.get("/api", (req, res) => {
+app.get("/api", cache_for("static"), (req, res) => {
   res.json({
     endpoints: [
       { url: "/api/version", description: "Get API version info" },
+      { url: "/api/webhooks", description: "List, create (POST) and delete (DELETE /api/webhooks/:id) profile change webhooks, needs ADMIN_TOKEN" },
+      { url: "/api/keys", description: "List, create (POST), rotate (POST /api/keys/:id/rotate) and revoke (DELETE /api/keys/:id) API keys and read their usage (/api/keys/:id/usage), needs ADMIN_TOKEN" },
+      { url: "/api/batch", description: "Look up many users from any provider at once (GET ?ids= or POST JSON)" },
+      { url: "/api/providers", description: "List the available avatar providers" },
+      { url: "/api/identity", description: "Best available avatar across several handles (?discord=&github=&email=...)" },
+      { url: "/api/identity/pfp", description: "Image of the best available avatar across several handles" },
       { url: "/api/:userId", description: "Get avatar JSON info (JSON)" },
       { url: "/api/user/:userId/raw", description: "Get raw Discord user data (JSON)" },
       { url: "/api/pfp/:userId/image", description: "Redirect to avatar (512px)" },
       { url: "/api/pfp/:userId/smallimage", description: "Redirect to avatar (128px)" },
       { url: "/api/pfp/:userId/bigimage", description: "Redirect to avatar (1024px)" },
       { url: "/api/pfp/:userId/superbigimage", description: "Redirect to avatar (4096px)" },
-      { url: "/api/pfp/:userId/:size", description: "Redirect to avatar with custom size (64–4096)" },
+      { url: "/api/pfp/:userId/:size", description: "Redirect to avatar with custom size (16–4096)" },
+      { url: "/api/pfp/:userId/history", description: "Previous avatars and banners of a Discord user (JSON)" },
+      { url: "/api/pfp/:userId/history/:hash", description: "One archived avatar or banner" },
+      { url: "/api/pfp/:userId/decorated", description: "Avatar composited with its decoration frame and guild tag badge" },
+      { url: "/api/user/:userId/collectibles", description: "Avatar decoration, nameplate and guild tag asset URLs (JSON)" },
+      { url: "/api/user/:userId/badges", description: "Profile badges decoded from public_flags (JSON)" },
+      { url: "/api/user/:userId/badges/image", description: "The user's profile badges as one image" },
+      { url: "/api/badges", description: "List every known Discord profile badge" },
+      { url: "/api/badges/:badge", description: "Icon of a single badge" },
+      { url: "/api/guild/:guildId", description: "Guild name, image URLs and member counts (JSON)" },
+      { url: "/api/guild/:guildId/icon/:size", description: "Guild icon, size optional" },
+      { url: "/api/guild/:guildId/banner/:size", description: "Guild banner, size optional" },
+      { url: "/api/guild/:guildId/splash/:size", description: "Guild invite splash, size optional" },
+      { url: "/api/guild/:guildId/member/:userId/pfp", description: "Member's guild avatar, or their global avatar" },
+      { url: "/api/card/discord/:userId", description: "Discord profile card (SVG or PNG)" },
+      { url: "/api/card/github/:username", description: "GitHub profile card (SVG or PNG)" },
       { url: "/api/banner/:userId", description: "Get banner URL JSON for a user (JSON)" },
       { url: "/api/banner/:userId/image", description: "Redirect to banner image" },
       { url: "/api/github/:username", description: "Get GitHub user JSON info" },
       { url: "/api/github/:username/pfp", description: "Redirect to GitHub avatar image" },
-      { url: "/api/status", description: "Get overall API status and uptime" }
+      { url: "/api/github/:username/pfp/history", description: "Previous avatars of a GitHub user (JSON)" },
+      { url: "/api/github/:username/pfp/history/:hash", description: "One archived GitHub avatar" },
+      { url: "/api/github/:username/repos", description: "Top GitHub repositories by stars with language breakdown" },
+      { url: "/api/github/:username/orgs", description: "Public GitHub organization memberships" },
+      { url: "/api/github/:username/stats", description: "Total stars, forks and primary languages of a GitHub user" },
+      { url: "/api/github/org/:org", description: "GitHub organization info (JSON)" },
+      { url: "/api/github/org/:org/pfp", description: "GitHub organization avatar" },
+      { url: "/api/:provider/:id", description: "Get normalized user JSON from any provider" },
+      { url: "/api/:provider/:id/pfp", description: "Avatar image from any provider" },
+      { url: "/api/:provider/:id/banner", description: "Banner image from providers that have one" },
+      { url: "/api/status", description: "Get overall API status and uptime" },
+      { url: "/api/status/services", description: "Status and uptime of each service" },
+      { url: "/api/status/history", description: "Daily uptime bars of each service over up to 90 days (?days=)" },
+      { url: "/api/status/incidents", description: "Recent and ongoing incidents (?days=&service=)" },
+      { url: "/api/status/check", description: "Run the status checks now, for cron jobs, needs CRON_SECRET or ADMIN_TOKEN" },
+      { url: "/api/maintenance", description: "List, schedule (POST) and cancel (DELETE /api/maintenance/:id) maintenance windows, needs ADMIN_TOKEN" },
+      { url: "/api/alerts", description: "Show the status alert channels and send a test alert (POST /api/alerts/test), needs ADMIN_TOKEN" },
+      { url: "/api/metrics", description: "Prometheus metrics of this instance, needs METRICS_TOKEN or ADMIN_TOKEN" }
     ],
   });
 });
@@ -141,200 +435,150 @@ app.get("/api/version", (req, res) => {
   });
 });
 
-// Discord Routes
-app.get("/api/:userId", async (req, res) => {
-  const { userId } = req.params;
-  if (!isValidUserId(userId)) return res.status(400).json({ error: "Invalid user ID" });
-  try {
-    const data = await get_avatar(userId);
-    res.json({ profileUrl: `https://discord.com/users/${userId}`, ...data });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Could not fetch avatar" });
-  }
-});
-
-const imageSizes = {
-  image: 512,
-  smallimage: 128,
-  bigimage: 1024,
-  superbigimage: 4096,
-};
-
-Object.entries(imageSizes).forEach(([endpoint, defaultSize]) => {
-  app.get(`/api/pfp/:userId/${endpoint}`, async (req, res) => {
-    const { userId } = req.params;
-    const { format } = req.query;
-
-    if (!isValidUserId(userId)) return res.status(400).json({ error: "Invalid user ID" });
-
-    try {
-      const data = await get_avatar(userId, { size: defaultSize, format });
-      const imageRes = await fetch(data.avatarUrl);
-      const contentType = imageRes.headers.get("content-type");
-
-      res.set("Content-Type", contentType);
-      res.set("Access-Control-Allow-Origin", "*");
-      res.set("Cross-Origin-Resource-Policy", "cross-origin");
-      imageRes.body.pipe(res);
-    } catch (err) {
-      console.error(err);
-      res.status(500).json({ error: "Could not fetch avatar" });
-    }
+app.get("/api/providers", cache_for("static"), (req, res) => {
+  res.json({
+    providers: list_providers().map((provider) => ({
+      name: provider.name,
+      label: provider.label,
+      id_format: provider.id_description,
+      banners: provider.has_banners,
+    })),
   });
 });
 
-app.get("/api/pfp/:userId/:size", async (req, res) => {
-  const { userId, size } = req.params;
-  const { format } = req.query;
+// Identity Routes
+function identity_json(identity) {
+  const { source, id, provider, profile, display_name, tried } = identity;
+  if (source === "generated") {
+    const svg = generated_svg(identity, 512);
+    return {
+      source,
+      id,
+      display_name,
+      generated: identity.generated,
+      avatarUrl: `data:image/svg+xml;base64,${Buffer.from(svg).toString("base64")}`,
+      profile: null,
+      tried,
+    };
+  }
+  return { source, id, display_name, avatarUrl: provider.avatar_url(profile), profile: provider.to_json(profile), tried };
+}
 
-  if (!isValidUserId(userId)) return res.status(400).json({ error: "Invalid user ID" });
-  const numericSize = sanitizeSize(parseInt(size, 10));
+app.get("/api/identity", async_handler(async (req, res) => {
+  const identity = await resolve_identity(req.query);
+  res.json(identity_json(identity));
+}));
 
-  try {
-    const data = await get_avatar(userId, { size: numericSize, format });
-    const imageRes = await fetch(data.avatarUrl);
-    res.set("Content-Type", imageRes.headers.get("content-type"));
-    res.set("Access-Control-Allow-Origin", "*");
-    res.set("Cross-Origin-Resource-Policy", "cross-origin");
-    imageRes.body.pipe(res);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Could not fetch avatar" });
+app.get("/api/identity/pfp", async_handler(async (req, res) => {
+  const size = req.query.size ? sanitizeSize(parseInt(req.query.size, 10)) : undefined;
+  const identity = await resolve_identity(req.query);
+  res.set("X-Avatar-Source", identity.source);
+
+  if (identity.source === "generated") {
+    const transform = parse_transform_options(req.query, { size });
+    return send_generated(res, generated_svg(identity, transform.width || transform.height || 512), transform);
   }
+
+  const { provider, profile } = identity;
+  const transform = parse_transform_options(req.query, { size, upstream_formats: provider.upstream_formats });
+  await send_profile_image(res, provider, profile, "avatar", transform);
+}));
+
+// Badge Routes
+app.get("/api/badges", cache_for("static"), (req, res) => {
+  res.json({
+    badges: BADGES.map((badge) => ({ id: badge.id, name: badge.name, flag: badge.flag, icon_url: badge_icon_url(badge) })),
+  });
 });
 
-app.get("/api/user/:userId/raw", async (req, res) => {
-  const { userId } = req.params;
-  if (!isValidUserId(userId)) return res.status(400).json({ error: "Invalid user ID" });
+app.get("/api/badges/:badge", cache_for("static"), async_handler(async (req, res) => {
+  const badge = get_badge(req.params.badge);
+  if (!badge) throw new NotFoundError("Unknown badge", { code: "badge_not_found" });
+  if (!badge.icon) throw new NotFoundError("This badge has no icon", { code: "badge_not_found" });
 
-  try {
-    const user = await get_user_data(userId);
-    const avatarExt = user.avatar?.startsWith("a_") ? "gif" : "png";
-    const avatarUrl = user.avatar
-      ? `https://cdn.discordapp.com/avatars/${userId}/${user.avatar}.${avatarExt}?size=512`
-      : `https://cdn.discordapp.com/embed/avatars/${user.discriminator ? parseInt(user.discriminator) % 5 : 0}.png`;
-
-    const bannerExt = user.banner?.startsWith("a_") ? "gif" : "png";
-    const bannerUrl = user.banner
-      ? `https://cdn.discordapp.com/banners/${userId}/${user.banner}.${bannerExt}?size=512`
-      : null;
+  const size = req.query.size ? sanitizeSize(parseInt(req.query.size, 10)) : undefined;
+  const transform = parse_transform_options(req.query, { size, upstream_formats: ["png"] });
+  await send_image(res, badge_icon_url(badge, transform.upstream_size), transform, { versioned: true });
+}));
 
-    res.json({
-      profileUrl: `https://discord.com/users/${userId}`,
-      id: user.id,
-      username: user.username,
-      display_name: user.global_name || user.username,
-      avatar: user.avatar,
-      avatarUrl,
-      discriminator: user.discriminator,
-      public_flags: user.public_flags,
-      flags: user.flags,
-      accent_color: user.accent_color,
-      banner: user.banner,
-      banner_color: user.banner_color,
-      bannerUrl,
-      avatar_decoration_data: user.avatar_decoration_data,
-      collectibles: user.collectibles,
-      clan: user.clan,
-      primary_guild: user.primary_guild,
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Could not fetch user data" });
-  }
-});
+// Batch Routes
+// A batch answers 200 even when every item failed, so it's never kept by shared caches
+app.get("/api/batch", cache_for("none"), async_handler(async (req, res) => {
+  const ids = typeof req.query.ids === "string"
+    ? req.query.ids.split(",").map((id) => id.trim()).filter(Boolean)
+    : [];
+  await run_batch(ids, res);
+}));
 
-app.get("/api/banner/:userId", async (req, res) => {
-  const { userId } = req.params;
-  const size = req.query.size || 512;
-  if (!isValidUserId(userId)) return res.status(400).json({ error: "Invalid user ID" });
+app.post("/api/batch", cache_for("none"), express.json({ limit: "32kb" }), async_handler(async (req, res) => {
+  await run_batch(req.body?.ids, res);
+}));
 
-  try {
-    const data = await get_banner(userId, size);
-    res.json(data);
-  } catch (err) {
-    console.error(err);
-    res.status(404).json({ error: "Banner not available" });
+/**
+ * The days query parameter of routes that look back in time
+ * @param {Object} req - The Express request
+ * @param {number} fallback - When it's missing
+ * @param {number} max - The most days allowed
+ * @returns {number} - The days
+ * @throws {InvalidRequestError} - When it's not an integer from 1 to max
+ */
+function query_days(req, fallback, max) {
+  const days = req.query.days === undefined ? fallback : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 1 || days > max) {
+    throw new InvalidRequestError(`Invalid days: expected an integer from 1 to ${max}`, { code: "invalid_parameter" });
   }
-});
+  return days;
+}
 
-app.get("/api/banner/:userId/image", async (req, res) => {
-  const { userId } = req.params;
-  const size = req.query.size || 512;
-  if (!isValidUserId(userId)) return res.status(400).json({ error: "Invalid user ID" });
+// Webhook Routes
+// Deliveries come from the Gateway worker (./gateway), these only manage the subscriptions
+app.get("/api/webhooks", require_admin, cache_for("none"), async_handler(async (req, res) => {
+  res.json({ webhooks: (await list_webhooks()).map(public_webhook) });
+}));
 
-  try {
-    const data = await get_banner(userId, size);
-    const imageRes = await fetch(data.bannerUrl);
-    const contentType = imageRes.headers.get("content-type");
-    res.set("Access-Control-Allow-Origin", "*");
-    res.set("Cross-Origin-Resource-Policy", "cross-origin");
-    res.set("Content-Type", contentType);
-    imageRes.body.pipe(res);
-  } catch (err) {
-    console.error(err);
-    res.status(404).json({ error: "Banner not available" });
-  }
-});
+app.post("/api/webhooks", require_admin, cache_for("none"), express.json({ limit: "32kb" }), async_handler(async (req, res) => {
+  res.status(201).json(await create_webhook(req.body));
+}));
 
-// GitHub Routes
-app.get("/api/github/:username", async (req, res) => {
-  const { username } = req.params;
-  try {
-    const user = await get_github_user(username);
-    res.json({
-      id: user.id,
-      username: user.login,
-      display_name: user.name || user.login,
-      avatarUrl: user.avatar_url,
-      profileUrl: user.html_url,
-      bio: user.bio,
-      public_repos: user.public_repos,
-      followers: user.followers,
-      following: user.following,
-      location: user.location,
-      company: user.company,
-      blog: user.blog
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Could not fetch GitHub user data" });
-  }
-});
+app.delete("/api/webhooks/:id", require_admin, cache_for("none"), async_handler(async (req, res) => {
+  await delete_webhook(req.params.id);
+  res.status(204).end();
+}));
 
-app.get("/api/github/:username/pfp", async (req, res) => {
-  const { username } = req.params;
-  try {
-    const user = await get_github_user(username);
-    const imageRes = await fetch(user.avatar_url);
-    const contentType = imageRes.headers.get("content-type");
-    res.set("Content-Type", contentType);
-    res.set("Access-Control-Allow-Origin", "*");
-    res.set("Cross-Origin-Resource-Policy", "cross-origin");
-    imageRes.body.pipe(res);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Could not fetch GitHub avatar" });
-  }
-});
+// API Key Routes
+app.get("/api/keys", require_admin, cache_for("none"), async_handler(async (req, res) => {
+  res.json({ keys: await list_api_keys() });
+}));
+
+app.post("/api/keys", require_admin, cache_for("none"), express.json({ limit: "32kb" }), async_handler(async (req, res) => {
+  res.status(201).json(await create_api_key(req.body));
+}));
 
+app.get("/api/keys/:id", require_admin, cache_for("none"), async_handler(async (req, res) => {
+  res.json(await get_public_api_key(req.params.id));
+}));
 
-// Status Endpoint
-app.get("/api/status", async (req, res) => {
+app.get("/api/keys/:id/usage", require_admin, cache_for("none"), async_handler(async (req, res) => {
+  res.json(await get_usage(req.params.id, query_days(req, 30, 365)));
+}));
+
+app.post("/api/keys/:id/rotate", require_admin, cache_for("none"), async_handler(async (req, res) => {
+  res.json(await rotate_api_key(req.params.id));
+}));
+
+// Revoked keys are kept so their usage can still be read
+app.delete("/api/keys/:id", require_admin, cache_for("none"), async_handler(async (req, res) => {
+  res.json(await revoke_api_key(req.params.id));
+}));
+
+// Status Routes
+// The checks run on a schedule (see ./status), these read the results of the last run
+app.get("/api/status", cache_for("none"), async (req, res) => {
   try {
-    const [
-      discord_status, 
-      github_status, 
-      image_status, 
-      cache_status, 
-      all_service_stats
-    ] = await Promise.all([
-      check_discord_api(),
-      check_github_api(),
-      check_image_processing(),
-      check_cache_system(),
-      get_all_service_statistics(7) // 7-day statistics
+    const [{ checked_at, services, maintenance }, all_service_stats, hit_rate] = await Promise.all([
+      get_current_status(),
+      status_store.get_all_service_statistics(7), // 7-day statistics
+      cache_hit_rate()
     ]);
 
     const stats_map = {};
@@ -342,27 +586,18 @@ app.get("/api/status", async (req, res) => {
       stats_map[stat.service_name] = stat;
     });
 
-    // Save current status to database (fire and forget)
-    Promise.all([
-      save_status_log('Discord API Gateway', discord_status.status, discord_status.responseTime, discord_status.message),
-      save_status_log('GitHub API Gateway', github_status.status, github_status.responseTime, github_status.message),
-      save_status_log('Image Processing Engine', image_status.status, image_status.responseTime, image_status.message),
-      save_status_log('Cache & Rate Limiting', cache_status.status, cache_status.responseTime, cache_status.message)
-    ]).catch(err => console.error('Failed to save status logs:', err));
-
-    const services = [discord_status, github_status, image_status, cache_status];
-    const statusPriority = { down: 3, degraded: 2, operational: 1 };
     const overallStatus = services.reduce((worst, curr) => {
-      return statusPriority[curr.status] > statusPriority[worst] ? curr.status : worst;
+      return STATUS_PRIORITY[curr.status] > STATUS_PRIORITY[worst] ? curr.status : worst;
     }, "operational");
 
-    // Calculate overall uptime from all services
-    const service_names = ['Discord API Gateway', 'GitHub API Gateway', 'Image Processing Engine', 'Cache & Rate Limiting'];
-    const uptimes = service_names.map(name => {
-      const stat = stats_map[name];
-      return stat ? Number(stat.uptime_percentage) : 99.0;
-    });
-    const overall_uptime = Number((uptimes.reduce((sum, uptime) => sum + uptime, 0) / uptimes.length).toFixed(1));
+    // Calculate overall uptime from the services that have checks, null when none has
+    const uptimes = services
+      .map(({ name }) => stats_map[name]?.uptime_percentage)
+      .filter((uptime) => uptime !== null && uptime !== undefined)
+      .map(Number);
+    const overall_uptime = uptimes.length > 0
+      ? Number((uptimes.reduce((sum, uptime) => sum + uptime, 0) / uptimes.length).toFixed(1))
+      : null;
 
     const avg_response_time = Math.round(services.reduce((sum, s) => sum + s.responseTime, 0) / services.length);
     const operational_count = services.filter(s => s.status === "operational").length;
@@ -377,41 +612,34 @@ app.get("/api/status", async (req, res) => {
       status: overallStatus,
       uptime: overall_uptime,
       responseTime: avg_response_time,
-      lastChecked: new Date().toISOString(),
+      lastChecked: checked_at,
       region: "Global",
       version: "1.0.0",
       services: {
         total: services.length,
         operational: operational_count,
         degraded: services.filter(s => s.status === "degraded").length,
-        down: services.filter(s => s.status === "down").length
+        down: services.filter(s => s.status === "down").length,
+        maintenance: services.filter(s => s.status === "maintenance").length
       },
+      maintenance,
       performance: {
-        cache_hit_rate: Math.round(stats_map['Cache & Rate Limiting']?.uptime_percentage || 99.0),
+        cache_hit_rate: hit_rate,
         total_incidents_7d: total_incidents,
         average_response_time_7d: historical_avg_response_time
       }
     });
   } catch (err) {
-    console.error("Status check failed:", err);
+    logger.error("Status check failed:", err);
     res.status(500).json({ status: "down", error: "Status check system failure" });
   }
 });
 
-app.get('/api/status/services', async (req, res) => {
+app.get('/api/status/services', cache_for("none"), async (req, res) => {
   try {
-    const [
-      discord_status, 
-      github_status, 
-      image_status, 
-      cache_status, 
-      uptime_summary
-    ] = await Promise.all([
-      check_discord_api(),
-      check_github_api(),
-      check_image_processing(),
-      check_cache_system(),
-      get_uptime_summary()
+    const [{ checked_at, services }, uptime_summary] = await Promise.all([
+      get_current_status(),
+      status_store.get_uptime_summary()
     ]);
     
     const uptime_map = {};
@@ -419,187 +647,504 @@ app.get('/api/status/services', async (req, res) => {
       uptime_map[summary.service_name] = summary;
     });
 
-    // Save current status to database (fire and forget)
-    Promise.all([
-      save_status_log('Discord API Gateway', discord_status.status, discord_status.responseTime, discord_status.message),
-      save_status_log('GitHub API Gateway', github_status.status, github_status.responseTime, github_status.message),
-      save_status_log('Image Processing Engine', image_status.status, image_status.responseTime, image_status.message),
-      save_status_log('Cache & Rate Limiting', cache_status.status, cache_status.responseTime, cache_status.message)
-    ]).catch(err => console.error('Failed to save status logs:', err));
-
     const get_uptime_for_service = (service_name) => {
-      const summary = uptime_map[service_name];
-      return summary ? Number(summary.uptime_24h) : 99.0;
+      const uptime = uptime_map[service_name]?.uptime_24h;
+      return uptime === null || uptime === undefined ? null : Number(uptime);
     };
 
-    const services = [
-      {
-        name: 'Discord API Gateway',
-        status: discord_status.status,
-        responseTime: discord_status.responseTime,
-        uptime: get_uptime_for_service('Discord API Gateway'),
-        lastChecked: new Date().toISOString(),
-        message: discord_status.message
-      },
-      {
-        name: 'GitHub API Gateway',
-        status: github_status.status,
-        responseTime: github_status.responseTime,
-        uptime: get_uptime_for_service('GitHub API Gateway'),
-        lastChecked: new Date().toISOString(),
-        message: github_status.message
-      },
-      {
-        name: 'Image Processing Engine',
-        status: image_status.status,
-        responseTime: image_status.responseTime,
-        uptime: get_uptime_for_service('Image Processing Engine'),
-        lastChecked: new Date().toISOString(),
-        message: image_status.message
-      },
-      {
-        name: 'Cache & Rate Limiting',
-        status: cache_status.status,
-        responseTime: cache_status.responseTime,
-        uptime: get_uptime_for_service('Cache & Rate Limiting'),
-        lastChecked: new Date().toISOString(),
-        message: cache_status.message
-      }
-    ];
-
-    return res.json({ services });
+    return res.json({
+      services: services.map(({ id, name, status, responseTime, message }) => ({
+        id,
+        name,
+        status,
+        responseTime,
+        uptime: get_uptime_for_service(name),
+        lastChecked: checked_at,
+        message
+      }))
+    });
   } catch (error) {
-    console.error('Error in /api/status/services:', error);
+    logger.error('Error in /api/status/services:', error);
     return res.status(500).json({ error: 'Service status check failed.' });
   }
 });
 
-async function check_discord_api() {
-  const start = Date.now();
-  try {
-    const res = await fetch("https://discord.com/api/v10/gateway", {
-      headers: { Authorization: `Bot ${DISCORD_BOT_TOKEN}` },
-      timeout: 5000,
-    });
-    const time = Date.now() - start;
-    
-    if (!res.ok) {
-      return {
-        status: "down",
-        responseTime: time,
-        message: `Discord API error: ${res.status} ${res.statusText}`,
-      };
-    }
-    
-    const data = await res.json();
-    if (!data.url) {
-      return {
-        status: "degraded",
-        responseTime: time,
-        message: "Discord API responding but gateway URL missing",
-      };
-    }
-    
-    return {
-      status: time > 2000 ? "degraded" : "operational",
-      responseTime: time,
-      message: time > 2000 ? "Discord API slow response" : "Discord API operational",
-    };
-  } catch (e) {
-    const time = Date.now() - start;
-    return { 
-      status: "down", 
-      responseTime: time, 
-      message: `Discord API connection failed: ${e.message}` 
-    };
+app.get("/api/status/history", async_handler(async (req, res) => {
+  const days = query_days(req, STATUS_HISTORY_DAYS, STATUS_HISTORY_DAYS);
+  res.json(await get_status_history(days));
+}));
+
+app.get("/api/status/incidents", async_handler(async (req, res) => {
+  const days = query_days(req, 7, STATUS_HISTORY_DAYS);
+  const service = typeof req.query.service === "string" ? req.query.service : undefined;
+  res.json(await get_incidents(days, service));
+}));
+
+// For Vercel Cron or any other scheduler, when there's no long-running process to run the checker
+app.get("/api/status/check", require_cron, cache_for("none"), async_handler(async (req, res) => {
+  res.json(await refresh_status());
+}));
+
+// Maintenance Routes
+app.get("/api/maintenance", require_admin, cache_for("none"), async_handler(async (req, res) => {
+  res.json(await list_maintenance(query_days(req, 30, 365)));
+}));
+
+app.post("/api/maintenance", require_admin, cache_for("none"), express.json({ limit: "32kb" }), async_handler(async (req, res) => {
+  res.status(201).json(await create_maintenance_window(req.body));
+}));
+
+app.delete("/api/maintenance/:id", require_admin, cache_for("none"), async_handler(async (req, res) => {
+  await cancel_maintenance_window(req.params.id);
+  res.status(204).end();
+}));
+
+// Alert Routes
+// Alerts are sent by the status checks (see ./alerts), these show the setup and test it
+app.get("/api/alerts", require_admin, cache_for("none"), async_handler(async (req, res) => {
+  res.json(await get_alert_settings());
+}));
+
+app.post("/api/alerts/test", require_admin, cache_for("none"), async_handler(async (req, res) => {
+  res.json(await send_test_alert());
+}));
+
+// Metrics Routes
+// Counters of this instance since it started, for Prometheus to scrape
+app.get("/api/metrics", require_metrics, cache_for("none"), async_handler(async (req, res) => {
+  const { content_type, body } = await get_metrics();
+  res.set("Content-Type", content_type);
+  res.send(body);
+}));
+
+// Discord Routes
+app.get("/api/:userId", async_handler(async (req, res) => {
+  const { userId } = req.params;
+  validate_user_id(userId);
+  const data = await get_avatar(userId);
+  res.json({ profileUrl: `https://discord.com/users/${userId}`, ...data });
+}));
+
+const imageSizes = {
+  image: 512,
+  smallimage: 128,
+  bigimage: 1024,
+  superbigimage: 4096,
+};
+
+Object.entries(imageSizes).forEach(([endpoint, defaultSize]) => {
+  app.get(`/api/pfp/:userId/${endpoint}`, async_handler(async (req, res) => {
+    const { userId } = req.params;
+
+    validate_user_id(userId);
+    const size = req.query.size ? sanitizeSize(parseInt(req.query.size, 10)) : defaultSize;
+    await send_avatar(req, res, discord_provider, userId, size);
+  }));
+});
+
+app.get("/api/pfp/:userId/decorated", async_handler(async (req, res) => {
+  const { userId } = req.params;
+  validate_user_id(userId);
+  const size = sanitizeSize(parseInt(req.query.size || "512", 10));
+  const transform = parse_transform_options(req.query, { size });
+
+  const user = await get_user_data(userId);
+  const { avatar_decoration, guild_tag } = collectible_urls(user, { size: cdn_size(size) });
+  const badge_url = parse_bool(req.query.tag) ? guild_tag?.badge_url : null;
+  const avatar_url = discord_provider.avatar_url(user, { size: cdn_size(Math.ceil(size / DECORATION_SCALE)), format: "png" });
+  // Every part is a hashed Discord URL, so they identify the composite
+  if (send_early(res, strong_etag(avatar_url, avatar_decoration?.url, badge_url, size, transform), transform.format || "png")) return;
+
+  const [avatar, decoration, badge] = await Promise.all([
+    get_image(avatar_url),
+    avatar_decoration ? get_image(avatar_decoration.url) : null,
+    badge_url ? get_image(badge_url) : null,
+  ]);
+
+  // Anything beyond size and format (bg, grayscale, a different width...) applies to the finished composite
+  let image = await decorate_avatar(avatar.data, {
+    decoration: decoration?.data,
+    badge: badge?.data,
+    size,
+    format: transform.processing ? "png" : transform.format,
+    quality: transform.quality,
+  });
+  if (transform.processing) image = await transform_image(image.data, transform);
+  send_rendered(res, image);
+}));
+
+app.get("/api/pfp/:userId/history", async_handler(async (req, res) => {
+  const { userId } = req.params;
+  validate_user_id(userId);
+
+  const [entries, changes] = await Promise.all([get_archive("discord", userId), get_history(userId)]);
+  res.json({ id: userId, ...format_archive(entries, `/api/pfp/${userId}/history`), changes });
+}));
+
+app.get("/api/pfp/:userId/history/:hash", async_handler(async (req, res) => {
+  const { userId, hash } = req.params;
+  validate_user_id(userId);
+  await send_archived_image(req, res, "discord", userId, hash);
+}));
+
+app.get("/api/pfp/:userId/:size", async_handler(async (req, res) => {
+  const { userId, size } = req.params;
+
+  validate_user_id(userId);
+  await send_avatar(req, res, discord_provider, userId, sanitizeSize(parseInt(size, 10)));
+}));
+
+app.get("/api/user/:userId/raw", async_handler(async (req, res) => {
+  const { userId } = req.params;
+  validate_user_id(userId);
+
+  const user = await get_user_data(userId);
+  const avatarExt = user.avatar?.startsWith("a_") ? "gif" : "png";
+  const avatarUrl = user.avatar
+    ? `https://cdn.discordapp.com/avatars/${userId}/${user.avatar}.${avatarExt}?size=512`
+    : default_avatar_url(user);
+
+  const bannerExt = user.banner?.startsWith("a_") ? "gif" : "png";
+  const bannerUrl = user.banner
+    ? `https://cdn.discordapp.com/banners/${userId}/${user.banner}.${bannerExt}?size=512`
+    : null;
+
+  res.json({
+    profileUrl: `https://discord.com/users/${userId}`,
+    id: user.id,
+    username: user.username,
+    display_name: user.global_name || user.username,
+    avatar: user.avatar,
+    avatarUrl,
+    discriminator: user.discriminator,
+    public_flags: user.public_flags,
+    flags: user.flags,
+    badges: decode_badges(user.public_flags),
+    accent_color: user.accent_color,
+    banner: user.banner,
+    banner_color: user.banner_color,
+    bannerUrl,
+    avatar_decoration_data: user.avatar_decoration_data,
+    collectibles: user.collectibles,
+    clan: user.clan,
+    primary_guild: user.primary_guild,
+  });
+}));
+
+app.get("/api/user/:userId/badges", async_handler(async (req, res) => {
+  const { userId } = req.params;
+  validate_user_id(userId);
+
+  const user = await get_user_data(userId);
+  res.json({ id: user.id, public_flags: user.public_flags ?? 0, badges: decode_badges(user.public_flags) });
+}));
+
+app.get("/api/user/:userId/badges/image", async_handler(async (req, res) => {
+  const { userId } = req.params;
+  validate_user_id(userId);
+  // size is the height of each icon here, width/height and the other transformations apply to the whole strip
+  const size = sanitizeSize(parseInt(req.query.size || "32", 10));
+  const gap = req.query.gap === undefined ? Math.round(size / 4) : Number(req.query.gap);
+  if (!Number.isInteger(gap) || gap < 0 || gap > 256) {
+    throw new InvalidRequestError("Invalid gap: must be an integer between 0 and 256", { code: "invalid_parameter" });
   }
-}
+  const transform = parse_transform_options(req.query);
 
-async function check_github_api() {
-  const start = Date.now();
-  try {
-    const res = await fetch("https://api.github.com/users/octocat", {
-      headers: {
-        "User-Agent": "Node.js Server",
-        Authorization: `token ${GITHUB_TOKEN}`,
-      },
-      timeout: 5000,
-    });
-    const time = Date.now() - start;
-    return {
-      status: res.ok ? (time > 2000 ? "degraded" : "operational") : "down",
-      responseTime: time,
-      message: res.ok ? "GitHub OK" : "GitHub error",
-    };
-  } catch (e) {
-    return { status: "down", responseTime: Date.now() - start, message: e.message };
+  const user = await get_user_data(userId);
+  const badges = decode_badges(user.public_flags, { size: cdn_size(size) }).filter((badge) => badge.icon_url);
+  if (badges.length === 0) throw new NotFoundError("User has no badges", { code: "badges_not_found" });
+  if (send_early(res, strong_etag(badges.map((badge) => badge.icon_url), size, gap, transform), transform.format || "png")) return;
+
+  const icons = await Promise.all(badges.map((badge) => get_image(badge.icon_url)));
+  let image = await compose_strip(icons.map((icon) => icon.data), {
+    size,
+    gap,
+    format: transform.processing ? "png" : transform.format,
+    quality: transform.quality,
+  });
+  if (transform.processing) image = await transform_image(image.data, transform);
+  send_rendered(res, image);
+}));
+
+app.get("/api/user/:userId/collectibles", async_handler(async (req, res) => {
+  const { userId } = req.params;
+  validate_user_id(userId);
+  const size = sanitizeSize(parseInt(req.query.size || "512", 10));
+
+  const user = await get_user_data(userId);
+  res.json({ id: user.id, ...collectible_urls(user, { size: cdn_size(size) }) });
+}));
+
+app.get("/api/banner/:userId", async_handler(async (req, res) => {
+  const { userId } = req.params;
+  const size = sanitizeSize(parseInt(req.query.size || "512", 10));
+  validate_user_id(userId);
+  // The URL points straight at Discord's CDN, so only formats it can encode make sense here
+  const format = parse_format(req.query.format);
+  if (format && !DISCORD_URL_FORMATS.includes(format)) {
+    throw new InvalidRequestError(`Invalid format: expected one of ${DISCORD_URL_FORMATS.join(", ")}`, { code: "invalid_parameter" });
   }
-}
+  const animation = parse_animation(req.query.animated);
 
-async function check_image_processing() {
-  const start = Date.now();
-  try {
-    // This test the actual image processing pipeline by fetching through the avatar-cyan API
-    const test_user_id = "773952016036790272";
-    const res = await fetch(`https://avatar-cyan.vercel.app/api/pfp/${test_user_id}/smallimage`, {
-      timeout: 8000, // Increased timeout for image processing
-      method: 'HEAD' // Used HEAD to avoid downloading the full image
-    });
-    const time = Date.now() - start;
-    
-    if (!res.ok) {
-      return {
-        status: "down",
-        responseTime: time,
-        message: `Image processing failed: ${res.status} ${res.statusText}`,
-      };
-    }
-    
-    // Check if response is actually an image
-    const content_type = res.headers.get('content-type');
-    if (!content_type || !content_type.startsWith('image/')) {
-      return {
-        status: "degraded",
-        responseTime: time,
-        message: `Image processing returned non-image content: ${content_type}`,
-      };
-    }
-    
-    return {
-      status: time > 4000 ? "degraded" : "operational",
-      responseTime: time,
-      message: time > 4000 ? "Image processing slow" : "Image processing operational",
-    };
-  } catch (e) {
-    const time = Date.now() - start;
-    return { 
-      status: "down", 
-      responseTime: time, 
-      message: `Image processing system error: ${e.message}` 
-    };
+  const data = await get_banner(userId, { size, format, animated: animation !== "false" });
+  if (animation === "true" && !data.is_animated) throw new NotFoundError("The image isn't animated", { code: "not_animated" });
+  res.json(data);
+}));
+
+app.get("/api/banner/:userId/image", async_handler(async (req, res) => {
+  const { userId } = req.params;
+  const size = sanitizeSize(parseInt(req.query.size || "512", 10));
+  validate_user_id(userId);
+  // Banners aren't square, so the size only sets the width
+  const transform = parse_transform_options(req.query, { width: size, upstream_formats: DISCORD_FORMATS });
+
+  await send_profile_image(res, discord_provider, await get_user_data(userId), "banner", transform);
+}));
+
+// Guild Routes
+// Registered before the provider routes, which would otherwise read "guild" as a provider name
+app.get("/api/guild/:guildId", async_handler(async (req, res) => {
+  const { guildId } = req.params;
+  validate_guild_id(guildId);
+  const size = sanitizeSize(parseInt(req.query.size || "512", 10));
+
+  res.json(format_guild(await get_guild_data(guildId), { size }));
+}));
+
+// Icons are square, banners and splashes are wide so the size only sets their width
+const guildImages = { icon: "size", banner: "width", splash: "width" };
+
+app.get("/api/guild/:guildId/:kind(icon|banner|splash)/:size?", async_handler(async (req, res) => {
+  const { guildId, kind } = req.params;
+  validate_guild_id(guildId);
+  const size = sanitizeSize(parseInt(req.params.size || req.query.size || "512", 10));
+  const transform = parse_transform_options(req.query, { [guildImages[kind]]: size, upstream_formats: DISCORD_FORMATS });
+
+  const image = guild_image(await get_guild_data(guildId), kind);
+  if (!image) throw new NotFoundError(`Guild has no ${kind}`, { code: `${kind}_not_found` });
+  await send_discord_image(res, image, transform);
+}));
+
+app.get("/api/guild/:guildId/member/:userId/pfp", async_handler(async (req, res) => {
+  const { guildId, userId } = req.params;
+  validate_guild_id(guildId);
+  validate_user_id(userId);
+  const size = sanitizeSize(parseInt(req.query.size || "512", 10));
+
+  const image = member_avatar(await get_guild_member(guildId, userId), guildId);
+  if (!image) {
+    res.set("X-Avatar-Source", "global");
+    return send_avatar(req, res, discord_provider, userId, size);
   }
+  res.set("X-Avatar-Source", "guild");
+  await send_discord_image(res, image, parse_transform_options(req.query, { size, upstream_formats: DISCORD_FORMATS }));
+}));
+
+// Card Routes
+// SVGs shown through <img> can't load external images, so everything on a card is inlined
+async function inline_image(url, width, height, format = "png") {
+  const image = await get_image(url);
+  const { data, content_type } = await transform_image(image.data, { width, height, format, quality: format === "jpeg" ? 80 : undefined });
+  return `data:${content_type};base64,${data.toString("base64")}`;
 }
 
-function check_cache_system() {
-  const start = Date.now();
-  try {
-    const key = `test_${Date.now()}`;
-    avatarcyan_cache.set(key, true, 5);
-    const val = avatarcyan_cache.get(key);
-    avatarcyan_cache.del(key);
-    const time = Date.now() - start;
-    return {
-      status: val ? "operational" : "degraded",
-      responseTime: time,
-      message: val ? "Cache OK" : "Cache failed",
-    };
-  } catch (e) {
-    return { status: "down", responseTime: Date.now() - start, message: e.message };
+// Cards are drawn from the profile alone, so it identifies them before any image is inlined
+function send_card_early(res, profile, options) {
+  res.set("Cache-Control", card_cache_control());
+  return send_early(res, strong_etag(profile, options), options.format);
+}
+
+async function send_card(res, card, options) {
+  const svg = render_card(card, options);
+  if (options.format === "svg") return send_rendered(res, { data: svg, content_type: "image/svg+xml" });
+  send_rendered(res, await transform_image(Buffer.from(svg), { format: options.format }));
+}
+
+app.get("/api/card/discord/:userId", async_handler(async (req, res) => {
+  const { userId } = req.params;
+  validate_user_id(userId);
+  const options = parse_card_options(req.query);
+
+  const user = await get_user_data(userId);
+  if (send_card_early(res, user, options)) return;
+  // Images are fetched at twice the size they're drawn at so they stay sharp on high-DPI screens
+  const [avatar, banner, badges] = await Promise.all([
+    inline_image(discord_provider.avatar_url(user, { size: 256, format: "png" }), 192, 192),
+    options.layout === "full" && user.banner
+      ? inline_image(discord_provider.banner_url(user, { size: 1024, format: "png" }), 1000, 240, "jpeg")
+      : null,
+    Promise.all(
+      decode_badges(user.public_flags, { size: 64 })
+        .filter((badge) => badge.icon_url)
+        .map((badge) => inline_image(badge.icon_url, 44, 44))
+    ),
+  ]);
+
+  await send_card(res, {
+    title: user.global_name || user.username,
+    // Legacy accounts still go by name#1234
+    subtitle: user.discriminator && user.discriminator !== "0" ? `${user.username}#${user.discriminator}` : `@${user.username}`,
+    avatar,
+    banner,
+    header_color: accent_hex(user.accent_color),
+    badges,
+  }, options);
+}));
+
+app.get("/api/card/github/:username", async_handler(async (req, res) => {
+  const { username } = req.params;
+  validate_github_username(username);
+  const options = parse_card_options(req.query);
+
+  const user = await get_github_user(username);
+  if (send_card_early(res, user, options)) return;
+  const profile = format_github_user(user);
+  const stats = [
+    { label: "followers", value: format_count(profile.followers) },
+    { label: "repos", value: format_count(profile.public_repos) },
+  ];
+  if (profile.location) stats.push({ label: "", value: profile.location });
+
+  await send_card(res, {
+    title: profile.display_name,
+    subtitle: `@${profile.username}`,
+    description: profile.bio,
+    stats,
+    avatar: await inline_image(github_provider.avatar_url(user, { size: 256 }), 192, 192),
+  }, options);
+}));
+
+// GitHub Routes
+// Registered before the user routes so /api/github/org/:org isn't read as the user "org"
+app.get("/api/github/org/:org", async_handler(async (req, res) => {
+  const { org } = req.params;
+  validate_github_org(org);
+  res.json(format_github_org(await get_github_org(org)));
+}));
+
+app.get("/api/github/org/:org/pfp", async_handler(async (req, res) => {
+  const { org } = req.params;
+  validate_github_org(org);
+  const size = req.query.size ? sanitizeSize(parseInt(req.query.size, 10)) : undefined;
+  const transform = parse_transform_options(req.query, { size, upstream_formats: github_provider.upstream_formats });
+
+  const data = await get_github_org(org);
+  await send_image(res, github_provider.avatar_url(data, { size: transform.upstream_size }), transform);
+}));
+
+// The archive is keyed by GitHub's numeric ID, which survives username changes
+app.get("/api/github/:username/pfp/history", async_handler(async (req, res) => {
+  const { username } = req.params;
+  validate_github_username(username);
+
+  const user = await get_github_user(username);
+  const { avatars } = format_archive(await get_archive("github", String(user.id)), `/api/github/${username}/pfp/history`);
+  res.json({ id: user.id, username: user.login, avatars });
+}));
+
+app.get("/api/github/:username/pfp/history/:hash", async_handler(async (req, res) => {
+  const { username, hash } = req.params;
+  validate_github_username(username);
+
+  const user = await get_github_user(username);
+  await send_archived_image(req, res, "github", String(user.id), hash);
+}));
+
+app.get("/api/github/:username/repos", async_handler(async (req, res) => {
+  const { username } = req.params;
+  validate_github_username(username);
+  const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 30) {
+    throw new InvalidRequestError("Invalid limit: must be an integer between 1 and 30", { code: "invalid_parameter" });
   }
+  const include_forks = parse_bool(req.query.forks);
+
+  const repos = (await get_github_repos(username))
+    .filter((repo) => include_forks || !repo.fork)
+    .sort((a, b) => b.stargazers_count - a.stargazers_count)
+    .slice(0, limit);
+  const languages = await Promise.all(repos.map((repo) => get_repo_languages(repo.full_name)));
+
+  res.json({
+    username,
+    repos: repos.map((repo, i) => ({ ...format_github_repo(repo), languages: language_breakdown(languages[i]) })),
+  });
+}));
+
+app.get("/api/github/:username/orgs", async_handler(async (req, res) => {
+  const { username } = req.params;
+  validate_github_username(username);
+
+  const orgs = await get_github_orgs(username);
+  res.json({ username, orgs: orgs.map(format_github_org) });
+}));
+
+app.get("/api/github/:username/stats", async_handler(async (req, res) => {
+  const { username } = req.params;
+  validate_github_username(username);
+
+  // Repositories first: with GraphQL they come in the same query as the user, which is then cached
+  const repos = await get_github_repos(username);
+  const user = await get_github_user(username);
+  // Stars on a fork belong to the fork, but its code mostly doesn't, so forks are left out
+  const owned = repos.filter((repo) => !repo.fork);
+  const top_repo = owned.reduce((best, repo) => (!best || repo.stargazers_count > best.stargazers_count ? repo : best), null);
+
+  res.json({
+    username: user.login,
+    followers: user.followers,
+    public_repos: user.public_repos,
+    ...summarize_repos(owned),
+    top_repo: top_repo ? format_github_repo(top_repo) : null,
+    // Only the first GITHUB_MAX_REPO_PAGES pages are read for very large accounts
+    partial: repos.length < user.public_repos,
+  });
+}));
+
+// Provider Routes
+// Shared by every provider in ./providers, including GitHub (/api/github/:username)
+function find_provider(req) {
+  const provider = get_provider(req.params.provider);
+  if (provider) provider.validate_id(req.params.id);
+  return provider;
 }
 
-app.use((req, res) => {
-  res.status(404).json({ error: "Endpoint not found" });
+app.get("/api/:provider/:id", async_handler(async (req, res, next) => {
+  const provider = find_provider(req);
+  if (!provider) return next();
+
+  const profile = await provider.fetch_profile(req.params.id);
+  res.json(provider.to_json(profile));
+}));
+
+app.get("/api/:provider/:id/:kind(pfp|banner)", async_handler(async (req, res, next) => {
+  const provider = find_provider(req);
+  if (!provider) return next();
+
+  const { kind } = req.params;
+  const size = req.query.size ? sanitizeSize(parseInt(req.query.size, 10)) : undefined;
+  if (kind === "pfp") return send_avatar(req, res, provider, req.params.id, size);
+
+  // Banners aren't square, so the size only sets the width
+  const transform = parse_transform_options(req.query, { width: size, upstream_formats: provider.upstream_formats });
+
+  await send_profile_image(res, provider, await provider.fetch_profile(req.params.id), "banner", transform);
+}));
+
+
+app.use((req, res, next) => {
+  next(new NotFoundError("Endpoint not found", { code: "endpoint_not_found" }));
 });
 
+app.use(error_handler);
+
+// Vercel imports the app, `npm start` runs it as a server
+if (require.main === module) {
+  app.listen(PORT, () => logger.log(`Server listening on port ${PORT}`));
+  // The Gateway needs a long-lived process, so it can only run here or in `npm run worker`
+  if (process.env.GATEWAY_ENABLED === "true") require("./gateway").start_gateway();
+  // Vercel has no process to run it in, it calls /api/status/check from a cron job instead
+  if (process.env.STATUS_CHECKER_ENABLED === "true") start_status_checker();
+}
+
 module.exports = app;
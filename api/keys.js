@@ -0,0 +1,238 @@
+const crypto = require("crypto");
+const { avatarcyan_cache, fetch_cached } = require("./cache");
+const { InvalidRequestError, NotFoundError, UnauthorizedError } = require("./errors");
+const {
+  insert_api_key,
+  get_api_key_by_hash,
+  get_api_key,
+  list_api_keys,
+  update_api_key,
+  increment_api_key_usage,
+  get_api_key_usage,
+} = require("./supabase");
+require("dotenv").config();
+
+// Limits of keys created without their own
+const API_KEY_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT || "1000", 10);
+const API_KEY_IMAGE_RATE_LIMIT = parseInt(process.env.API_KEY_IMAGE_RATE_LIMIT || "500", 10);
+const API_KEY_BURST = parseInt(process.env.API_KEY_BURST || "50", 10);
+// Usage is counted in memory and added to Supabase at most this often
+const API_KEY_USAGE_FLUSH_MS = parseInt(process.env.API_KEY_USAGE_FLUSH_MS || "30000", 10);
+const KEY_PREFIX = "acy_";
+
+const hash_key = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+// The secret and the part of it that's stored in the clear so keys can be told apart
+function generate_key() {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+  return { key, key_hash: hash_key(key), prefix: key.slice(0, KEY_PREFIX.length + 6) };
+}
+
+/**
+ * The API key a request carries, from the X-API-Key header or the api_key query parameter
+ * @param {Object} req - The Express request
+ * @returns {string|null} - The key, or null for anonymous requests
+ */
+function request_key(req) {
+  const key = req.get("X-API-Key") || (typeof req.query.api_key === "string" ? req.query.api_key : "");
+  return key.trim() || null;
+}
+
+/**
+ * Look up an API key, cached for API_KEY_CACHE_TTL seconds
+ * @param {string} key - The secret from the request
+ * @returns {Promise<Object>} - The key with its effective rate_limit, image_rate_limit and burst
+ * @throws {UnauthorizedError} - When the key doesn't exist or was revoked
+ */
+async function resolve_key(key) {
+  const key_hash = hash_key(key);
+  let record;
+  try {
+    record = await fetch_cached(`api_key_${key_hash}`, async () => {
+      const found = await get_api_key_by_hash(key_hash);
+      if (!found) throw new NotFoundError("Unknown API key");
+      return found;
+    }, "api_key");
+  } catch (err) {
+    if (err.status === 404) throw new UnauthorizedError("Invalid API key", { code: "invalid_api_key" });
+    throw err;
+  }
+  if (record.revoked_at) throw new UnauthorizedError("This API key has been revoked", { code: "api_key_revoked" });
+  return {
+    ...record,
+    rate_limit: record.rate_limit ?? API_KEY_RATE_LIMIT,
+    image_rate_limit: record.image_rate_limit ?? API_KEY_IMAGE_RATE_LIMIT,
+    burst: record.burst ?? API_KEY_BURST,
+  };
+}
+
+function parse_limit(body, field, fallback) {
+  const value = body[field];
+  if (value === undefined || value === null) return fallback;
+  if (!Number.isInteger(value) || value < 0) {
+    throw new InvalidRequestError(`Invalid ${field}: expected a non-negative integer`, { code: "invalid_parameter" });
+  }
+  return value;
+}
+
+/**
+ * Create an API key
+ * @param {Object} body - { name, rate_limit, image_rate_limit, burst } from the request, the limits are optional
+ * @returns {Promise<Object>} - The stored key plus its secret in `key`, which is never shown again
+ * @throws {InvalidRequestError} - When a field is missing or invalid
+ */
+async function create_api_key(body = {}) {
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+  if (!name || name.length > 100) {
+    throw new InvalidRequestError("Invalid name: expected 1 to 100 characters", { code: "invalid_parameter" });
+  }
+  const rate_limit = parse_limit(body, "rate_limit", null);
+  const image_rate_limit = parse_limit(body, "image_rate_limit", null);
+  for (const [field, value] of Object.entries({ rate_limit, image_rate_limit })) {
+    if (value === 0) throw new InvalidRequestError(`Invalid ${field}: expected a positive integer`, { code: "invalid_parameter" });
+  }
+  const burst = parse_limit(body, "burst", null);
+
+  const { key, key_hash, prefix } = generate_key();
+  const stored = await insert_api_key({
+    id: crypto.randomUUID(),
+    name,
+    prefix,
+    key_hash,
+    rate_limit,
+    image_rate_limit,
+    burst,
+    created_at: new Date().toISOString(),
+  });
+  return { ...stored, key };
+}
+
+async function find_api_key(id) {
+  const record = await get_api_key(id);
+  if (!record) throw new NotFoundError("API key not found", { code: "api_key_not_found" });
+  return record;
+}
+
+// Other instances notice within API_KEY_CACHE_TTL, unless they share a Redis cache
+async function forget(key_hash) {
+  await avatarcyan_cache.del(`api_key_${key_hash}`);
+}
+
+async function revoke_api_key(id) {
+  const record = await find_api_key(id);
+  if (record.revoked_at) return public_key(record);
+  const updated = await update_api_key(id, { revoked_at: new Date().toISOString() });
+  await forget(record.key_hash);
+  return updated;
+}
+
+/**
+ * Give a key a new secret, keeping its ID, limits and usage. The old secret stops working
+ * @param {string} id - The key ID
+ * @returns {Promise<Object>} - The key plus its new secret in `key`
+ * @throws {NotFoundError} - When there's no such key, or it was revoked
+ */
+async function rotate_api_key(id) {
+  const { key_hash: old_hash, revoked_at } = await find_api_key(id);
+  if (revoked_at) throw new NotFoundError("API key not found", { code: "api_key_not_found" });
+  const { key, key_hash, prefix } = generate_key();
+  const updated = await update_api_key(id, { key_hash, prefix, rotated_at: new Date().toISOString() });
+  await forget(old_hash);
+  return { ...updated, key };
+}
+
+function public_key({ key_hash, ...record }) {
+  return record;
+}
+
+async function get_public_api_key(id) {
+  return public_key(await find_api_key(id));
+}
+
+// Pending counts per key and UTC day, added to Supabase by flush_usage
+const pending_usage = new Map();
+let last_flush = Date.now();
+let flushing = null;
+
+/**
+ * Count a request made with a key
+ * @param {string} key_id - The key ID
+ * @param {boolean} limited - Whether it was turned away with a 429
+ */
+function record_usage(key_id, limited) {
+  const day = new Date().toISOString().slice(0, 10);
+  const id = `${key_id}/${day}`;
+  const counts = pending_usage.get(id) || { key_id, day, requests: 0, limited: 0 };
+  counts.requests++;
+  if (limited) counts.limited++;
+  pending_usage.set(id, counts);
+  // Checked on every request too, since serverless instances freeze between requests and timers don't fire
+  if (Date.now() - last_flush >= API_KEY_USAGE_FLUSH_MS) flush_usage();
+}
+
+/**
+ * Add the pending usage counts to Supabase. Counts that fail to save are kept for the next flush
+ * @returns {Promise<void>} - Never rejects
+ */
+function flush_usage() {
+  last_flush = Date.now();
+  flushing ||= (async () => {
+    const batch = [...pending_usage.values()];
+    pending_usage.clear();
+    await Promise.all(batch.map(async (counts) => {
+      try {
+        await increment_api_key_usage(counts.key_id, counts.day, counts.requests, counts.limited);
+      } catch {
+        const id = `${counts.key_id}/${counts.day}`;
+        const current = pending_usage.get(id) || { ...counts, requests: 0, limited: 0 };
+        current.requests += counts.requests;
+        current.limited += counts.limited;
+        pending_usage.set(id, current);
+      }
+    }));
+  })().finally(() => {
+    flushing = null;
+  });
+  return flushing;
+}
+
+setInterval(flush_usage, API_KEY_USAGE_FLUSH_MS).unref();
+
+/**
+ * Daily usage of a key, including what this instance hasn't saved yet
+ * @param {string} id - The key ID
+ * @param {number} days - How many days to look back
+ * @returns {Promise<Object>} - { key, days, total: { requests, limited }, usage: [{ day, requests, limited }] }
+ * @throws {NotFoundError} - When there's no such key
+ */
+async function get_usage(id, days) {
+  const key = await get_public_api_key(id);
+  await flush_usage();
+  const usage = (await get_api_key_usage(id, days)).map((row) => ({
+    day: row.day,
+    requests: Number(row.requests),
+    limited: Number(row.limited),
+  }));
+  const total = usage.reduce(
+    (sum, row) => ({ requests: sum.requests + row.requests, limited: sum.limited + row.limited }),
+    { requests: 0, limited: 0 }
+  );
+  return { key, days, total, usage };
+}
+
+module.exports = {
+  API_KEY_RATE_LIMIT,
+  API_KEY_IMAGE_RATE_LIMIT,
+  API_KEY_BURST,
+  hash_key,
+  request_key,
+  resolve_key,
+  create_api_key,
+  list_api_keys,
+  get_public_api_key,
+  revoke_api_key,
+  rotate_api_key,
+  record_usage,
+  flush_usage,
+  get_usage,
+};
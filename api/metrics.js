@@ -0,0 +1,142 @@
+const client = require("prom-client");
+require("dotenv").config();
+
+// Each instance keeps its own counters, Prometheus adds them up across instances
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+// Seconds, from a cached JSON response to a slow transformation or upstream retry
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const http_requests = new client.Counter({
+  name: "avatarcyan_http_requests_total",
+  help: "Requests answered, by route and status",
+  labelNames: ["method", "route", "status"],
+  registers: [registry],
+});
+
+const http_duration = new client.Histogram({
+  name: "avatarcyan_http_request_duration_seconds",
+  help: "Time to answer a request, by route and status",
+  labelNames: ["method", "route", "status"],
+  buckets: DURATION_BUCKETS,
+  registers: [registry],
+});
+
+const cache_hits = new client.Counter({
+  name: "avatarcyan_cache_hits_total",
+  help: "Cache lookups answered from the cache, stale entries and cached errors included",
+  labelNames: ["resource"],
+  registers: [registry],
+});
+
+const cache_misses = new client.Counter({
+  name: "avatarcyan_cache_misses_total",
+  help: "Cache lookups that had to load the value",
+  labelNames: ["resource"],
+  registers: [registry],
+});
+
+const cache_evictions = new client.Counter({
+  name: "avatarcyan_cache_evictions_total",
+  help: "Cache entries this instance removed because they expired or the memory cache was full",
+  labelNames: ["backend"],
+  registers: [registry],
+});
+
+const upstream_requests = new client.Counter({
+  name: "avatarcyan_upstream_requests_total",
+  help: "Calls to upstream APIs and CDNs, retries included, by status or timeout or error",
+  labelNames: ["upstream", "status"],
+  registers: [registry],
+});
+
+const upstream_duration = new client.Histogram({
+  name: "avatarcyan_upstream_request_duration_seconds",
+  help: "Time until an upstream call answered or failed",
+  labelNames: ["upstream", "status"],
+  buckets: DURATION_BUCKETS,
+  registers: [registry],
+});
+
+const image_bytes = new client.Counter({
+  name: "avatarcyan_image_bytes_sent_total",
+  help: "Image bytes sent by the image routes",
+  labelNames: ["route"],
+  registers: [registry],
+});
+
+// The route pattern rather than the path, so every user ID doesn't become its own series
+function route_label(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+}
+
+// Express middleware that counts and times every request once its response is sent
+function track_requests(req, res, next) {
+  const end = http_duration.startTimer();
+  res.on("finish", () => {
+    const labels = { method: req.method, route: route_label(req), status: res.statusCode };
+    end(labels);
+    http_requests.inc(labels);
+  });
+  next();
+}
+
+/**
+ * Count a lookup in the cache
+ * @param {string} resource - Entry of the TTL table it used
+ * @param {boolean} hit - Whether the cache had it
+ */
+function count_cache_lookup(resource, hit) {
+  (hit ? cache_hits : cache_misses).inc({ resource });
+}
+
+function count_cache_eviction(backend) {
+  cache_evictions.inc({ backend });
+}
+
+/**
+ * Start timing an upstream call
+ * @param {string} upstream - The client's name, like "Discord API"
+ * @returns {Function} - Call it with the response status, or "timeout" or "error", when the call ends
+ */
+function time_upstream(upstream) {
+  const end = upstream_duration.startTimer({ upstream });
+  return (status) => {
+    end({ status });
+    upstream_requests.inc({ upstream, status });
+  };
+}
+
+function count_image_bytes(req, bytes) {
+  image_bytes.inc({ route: route_label(req) }, bytes);
+}
+
+/**
+ * Share of cache lookups this instance answered from the cache since it started
+ * @returns {Promise<number|null>} - A percentage, or null before the first lookup
+ */
+async function cache_hit_rate() {
+  const total = async (counter) => (await counter.get()).values.reduce((sum, { value }) => sum + value, 0);
+  const [hits, misses] = await Promise.all([total(cache_hits), total(cache_misses)]);
+  return hits + misses > 0 ? Number(((hits / (hits + misses)) * 100).toFixed(2)) : null;
+}
+
+/**
+ * Every metric in the Prometheus text format
+ * @returns {Promise<Object>} - { content_type, body }
+ */
+async function get_metrics() {
+  return { content_type: registry.contentType, body: await registry.metrics() };
+}
+
+module.exports = {
+  registry,
+  track_requests,
+  count_cache_lookup,
+  count_cache_eviction,
+  time_upstream,
+  count_image_bytes,
+  cache_hit_rate,
+  get_metrics,
+};
@@ -0,0 +1,64 @@
+const { fetch_cached } = require("../cache");
+const { create_upstream_client, read_ratelimit_headers } = require("../upstream");
+const { InvalidRequestError, NotFoundError } = require("../errors");
+
+const bluesky_api = create_upstream_client({
+  name: "Bluesky API",
+  base_url: "https://public.api.bsky.app/xrpc",
+  read_limits: read_ratelimit_headers,
+});
+
+const isValidDid = (id) => /^did:(plc|web):[a-zA-Z0-9._:%-]+$/.test(id);
+const isValidHandle = (id) =>
+  /^([a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\.)+[a-zA-Z]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?$/.test(id);
+
+async function get_bluesky_profile(actor) {
+  return fetch_cached(`bluesky_${actor.toLowerCase()}`, async () => {
+    try {
+      const res = await bluesky_api.request(`/app.bsky.actor.getProfile?actor=${encodeURIComponent(actor)}`);
+      return res.json();
+    } catch (err) {
+      // The AppView answers unknown actors with 400 InvalidRequest rather than 404
+      if (err instanceof NotFoundError || err.upstream_status === 400) {
+        throw new NotFoundError("Bluesky profile not found", { code: "user_not_found", upstream_status: err.upstream_status });
+      }
+      throw err;
+    }
+  }, "profile");
+}
+
+const bluesky_provider = {
+  name: "bluesky",
+  label: "Bluesky",
+  id_description: "Bluesky handle (alice.bsky.social) or DID",
+  upstream_formats: [],
+  // Image URLs carry the blob's CID
+  versioned_urls: true,
+  has_banners: true,
+  validate_id(id) {
+    if (!isValidHandle(id) && !isValidDid(id)) {
+      throw new InvalidRequestError("Invalid Bluesky handle or DID", { code: "invalid_username" });
+    }
+  },
+  fetch_profile: get_bluesky_profile,
+  avatar_url: (profile) => profile.avatar || null,
+  banner_url: (profile) => profile.banner || null,
+  has_custom_avatar: (profile) => Boolean(profile.avatar),
+  to_json(profile) {
+    return {
+      provider: "bluesky",
+      id: profile.did,
+      username: profile.handle,
+      display_name: profile.displayName || profile.handle,
+      avatarUrl: profile.avatar || null,
+      bannerUrl: profile.banner || null,
+      profileUrl: `https://bsky.app/profile/${profile.handle}`,
+      bio: profile.description || null,
+      followers: profile.followersCount,
+      following: profile.followsCount,
+      posts: profile.postsCount,
+    };
+  },
+};
+
+module.exports = { bluesky_provider, get_bluesky_profile };
@@ -0,0 +1,301 @@
+const { fetch_cached } = require("../cache");
+const { create_upstream_client, read_discord_limits } = require("../upstream");
+const { InvalidRequestError, NotFoundError, UpstreamAuthError, rethrow_not_found } = require("../errors");
+const { decode_badges } = require("../badges");
+const { ARCHIVE_IMAGE_SIZE, archive_images } = require("../archive");
+require("dotenv").config();
+
+const DISCORD_BOT_TOKEN = process.env.DISCORD_BOT_TOKEN;
+if (!DISCORD_BOT_TOKEN) throw new Error("Missing DISCORD_BOT_TOKEN in .env");
+
+const discord_api = create_upstream_client({
+  name: "Discord API",
+  base_url: "https://discord.com/api/v10",
+  headers: () => ({ Authorization: `Bot ${DISCORD_BOT_TOKEN}` }),
+  read_limits: read_discord_limits,
+  // Discord buckets per route, so every user lookup shares one key
+  route_key: (path) => path.replace(/\d{17,20}/g, ":id"),
+});
+
+const isValidUserId = (id) => /^\d{17,20}$/.test(id);
+
+function validate_user_id(userId) {
+  if (!isValidUserId(userId)) throw new InvalidRequestError("Invalid user ID", { code: "invalid_user_id" });
+}
+
+function validate_guild_id(guildId) {
+  if (!isValidUserId(guildId)) throw new InvalidRequestError("Invalid guild ID", { code: "invalid_guild_id" });
+}
+
+async function get_user_data(userId) {
+  return fetch_cached(`discord_${userId}`, async () => {
+    const res = await rethrow_not_found(discord_api.request(`/users/${userId}`), "Discord user not found", "user_not_found");
+    const user = await res.json();
+    // In the background, so a new avatar doesn't slow down the request that found it
+    archive_user(user);
+    return user;
+  }, "discord_user");
+}
+
+// Accounts on the new username system have discriminator "0" and pick one of six
+// defaults from their ID, legacy accounts use one of five from the discriminator
+function default_avatar_url(user) {
+  const discriminator = parseInt(user.discriminator || "0", 10);
+  const index = discriminator === 0 ? Number((BigInt(user.id) >> 22n) % 6n) : discriminator % 5;
+  return `https://cdn.discordapp.com/embed/avatars/${index}.png`;
+}
+
+// Animated hashes start with a_
+const is_animated = (hash) => Boolean(hash && hash.startsWith("a_"));
+
+/**
+ * Build a CDN URL for an avatar or banner hash
+ * @param {string} path - Like "avatars/:id"
+ * @param {string} hash - The image hash
+ * @param {Object} options
+ * @param {number} options.size - Size in pixels
+ * @param {string} options.format - png, jpeg, webp or gif, defaults to gif for animated hashes and png otherwise
+ * @param {boolean} options.animated - false to get the first frame of an animated hash
+ * @returns {string} - The URL
+ */
+function cdn_url(path, hash, options = {}) {
+  const { size = 512, format = null, animated = true } = options;
+  const animate = is_animated(hash) && animated;
+  // Discord can't turn a static hash into a GIF, and static formats of an animated one give its first frame
+  const ext = format === "gif" && !animate ? "png" : format || (animate ? "gif" : "png");
+  // WebP only keeps the animation when asked to
+  const query = ext === "webp" && animate ? `size=${size}&animated=true` : `size=${size}`;
+  return `https://cdn.discordapp.com/${path}/${hash}.${ext}?${query}`;
+}
+
+function avatar_url(user, options = {}) {
+  if (user.avatar) return cdn_url(`avatars/${user.id}`, user.avatar, options);
+  return default_avatar_url(user);
+}
+
+function banner_url(user, options = {}) {
+  if (!user.banner) return null;
+  return cdn_url(`banners/${user.id}`, user.banner, options);
+}
+
+// The guild tag the user displays, Discord sent it as `clan` before renaming it to `primary_guild`
+function guild_tag(user) {
+  const guild = user.primary_guild || user.clan;
+  if (!guild || !guild.tag || guild.identity_enabled === false) return null;
+  return guild;
+}
+
+/**
+ * URLs for the user's avatar decoration, nameplate and guild tag badge
+ * @param {Object} user - The Discord user object
+ * @param {Object} options
+ * @param {number} options.size - Size in pixels for the decoration and badge
+ * @returns {Object} - { avatar_decoration, nameplate, guild_tag }, each null when the user has none
+ */
+function collectible_urls(user, options = {}) {
+  const { size = 512 } = options;
+  const decoration = user.avatar_decoration_data;
+  const nameplate = user.collectibles?.nameplate;
+  const guild = guild_tag(user);
+
+  return {
+    avatar_decoration: decoration?.asset
+      ? {
+        asset: decoration.asset,
+        sku_id: decoration.sku_id ?? null,
+        // passthrough=false is the first frame, true keeps the APNG animation
+        url: `https://cdn.discordapp.com/avatar-decoration-presets/${decoration.asset}.png?size=${size}&passthrough=false`,
+        animated_url: `https://cdn.discordapp.com/avatar-decoration-presets/${decoration.asset}.png?size=${size}&passthrough=true`,
+      }
+      : null,
+    nameplate: nameplate?.asset
+      ? {
+        asset: nameplate.asset,
+        sku_id: nameplate.sku_id ?? null,
+        label: nameplate.label ?? null,
+        palette: nameplate.palette ?? null,
+        url: `https://cdn.discordapp.com/assets/collectibles/${nameplate.asset}static.png`,
+        animated_url: `https://cdn.discordapp.com/assets/collectibles/${nameplate.asset}asset.webm`,
+      }
+      : null,
+    guild_tag: guild
+      ? {
+        guild_id: guild.identity_guild_id,
+        tag: guild.tag,
+        badge: guild.badge ?? null,
+        badge_url: guild.badge ? `https://cdn.discordapp.com/clan-badges/${guild.identity_guild_id}/${guild.badge}.png?size=${size}` : null,
+      }
+      : null,
+  };
+}
+
+// Keep the user's current avatar and banner, animated ones with their animation
+function archive_user(user) {
+  const options = { size: ARCHIVE_IMAGE_SIZE };
+  return archive_images("discord", user.id, [
+    user.avatar && { kind: "avatar", hash: user.avatar, url: avatar_url(user, options) },
+    user.banner && { kind: "banner", hash: user.banner, url: banner_url(user, options) },
+  ].filter(Boolean));
+}
+
+async function get_avatar(userId, options = {}) {
+  const user = await get_user_data(userId);
+  return {
+    id: user.id,
+    username: user.username,
+    display_name: user.global_name || user.username,
+    avatarUrl: avatar_url(user, options),
+    is_animated: is_animated(user.avatar),
+    discriminator: user.discriminator,
+    badges: decode_badges(user.public_flags),
+  };
+}
+
+async function get_banner(userId, options = {}) {
+  const user = await get_user_data(userId);
+  const url = banner_url(user, options);
+  if (!url) throw new NotFoundError("User has no banner", { code: "banner_not_found" });
+  return { id: user.id, bannerUrl: url, is_animated: is_animated(user.banner) };
+}
+
+/**
+ * Get a guild with its approximate member counts. The bot has to be in the guild,
+ * otherwise only discoverable guilds can be read, through their preview
+ * @param {string} guildId - The guild ID
+ * @returns {Promise<Object>} - The guild or guild preview object
+ */
+async function get_guild_data(guildId) {
+  return fetch_cached(`discord_guild_${guildId}`, async () => {
+    try {
+      const res = await rethrow_not_found(
+        discord_api.request(`/guilds/${guildId}?with_counts=true`),
+        "Discord guild not found",
+        "guild_not_found"
+      );
+      return res.json();
+    } catch (err) {
+      // 403 means the bot isn't a member, not that the token is bad
+      if (!(err instanceof UpstreamAuthError) || err.upstream_status !== 403) throw err;
+    }
+    const res = await rethrow_not_found(
+      discord_api.request(`/guilds/${guildId}/preview`),
+      "Discord guild not found, or the bot isn't in it",
+      "guild_not_found"
+    );
+    return res.json();
+  }, "discord_guild");
+}
+
+async function get_guild_member(guildId, userId) {
+  return fetch_cached(`discord_member_${guildId}_${userId}`, async () => {
+    const res = await rethrow_not_found(
+      discord_api.request(`/guilds/${guildId}/members/${userId}`),
+      "Discord guild member not found",
+      "member_not_found"
+    );
+    return res.json();
+  }, "discord_user");
+}
+
+// Guild images: the icon and banner can be animated, splashes never are
+const GUILD_IMAGE_PATHS = {
+  icon: "icons",
+  banner: "banners",
+  splash: "splashes",
+  discovery_splash: "discovery-splashes",
+};
+
+/**
+ * The CDN location of a guild image, for cdn_url
+ * @param {Object} guild - The guild or guild preview object
+ * @param {string} kind - icon, banner, splash or discovery_splash
+ * @returns {Object|null} - { path, hash }, or null when the guild has no such image
+ */
+function guild_image(guild, kind) {
+  if (!guild[kind]) return null;
+  return { path: `${GUILD_IMAGE_PATHS[kind]}/${guild.id}`, hash: guild[kind] };
+}
+
+// A member's guild-specific avatar, null when they use their global one
+function member_avatar(member, guildId) {
+  if (!member.avatar) return null;
+  return { path: `guilds/${guildId}/users/${member.user.id}/avatars`, hash: member.avatar };
+}
+
+function format_guild(guild, options = {}) {
+  const url = (kind) => {
+    const image = guild_image(guild, kind);
+    return image ? cdn_url(image.path, image.hash, options) : null;
+  };
+  return {
+    id: guild.id,
+    name: guild.name,
+    description: guild.description ?? null,
+    iconUrl: url("icon"),
+    bannerUrl: url("banner"),
+    splashUrl: url("splash"),
+    discoverySplashUrl: url("discovery_splash"),
+    is_animated: { icon: is_animated(guild.icon), banner: is_animated(guild.banner) },
+    member_count: guild.approximate_member_count ?? null,
+    presence_count: guild.approximate_presence_count ?? null,
+    features: guild.features || [],
+    vanity_url_code: guild.vanity_url_code ?? null,
+    premium_tier: guild.premium_tier ?? null,
+    premium_subscription_count: guild.premium_subscription_count ?? null,
+  };
+}
+
+const discord_provider = {
+  name: "discord",
+  label: "Discord",
+  id_description: "Discord user ID (snowflake)",
+  // Formats Discord's CDN can encode itself, anything else goes through the image pipeline
+  upstream_formats: ["png", "jpeg", "webp"],
+  animated_formats: ["gif", "webp"],
+  // Image URLs carry the avatar or banner hash
+  versioned_urls: true,
+  has_banners: true,
+  validate_id: validate_user_id,
+  fetch_profile: get_user_data,
+  avatar_url,
+  banner_url,
+  // No avatar hash means Discord serves one of its embed/avatars defaults
+  has_custom_avatar: (user) => Boolean(user.avatar),
+  accent_color: (user) => user.accent_color ?? null,
+  is_animated: (user, kind = "avatar") => is_animated(user[kind]),
+  to_json(user) {
+    return {
+      provider: "discord",
+      profileUrl: `https://discord.com/users/${user.id}`,
+      id: user.id,
+      username: user.username,
+      display_name: user.global_name || user.username,
+      avatarUrl: avatar_url(user),
+      bannerUrl: banner_url(user),
+      discriminator: user.discriminator,
+      badges: decode_badges(user.public_flags),
+    };
+  },
+};
+
+module.exports = {
+  discord_provider,
+  discord_api,
+  isValidUserId,
+  validate_user_id,
+  validate_guild_id,
+  is_animated,
+  cdn_url,
+  default_avatar_url,
+  collectible_urls,
+  archive_user,
+  get_user_data,
+  get_avatar,
+  get_banner,
+  get_guild_data,
+  get_guild_member,
+  GUILD_IMAGE_PATHS,
+  guild_image,
+  member_avatar,
+  format_guild,
+};
@@ -0,0 +1,425 @@
+const { fetch_cached, prime_cached } = require("../cache");
+const { create_upstream_client, read_github_limits } = require("../upstream");
+const { USER_AGENT, create_github_credentials } = require("../github_auth");
+const { ARCHIVE_IMAGE_SIZE, archive_images } = require("../archive");
+const {
+  InvalidRequestError,
+  NotFoundError,
+  RateLimitedError,
+  UpstreamError,
+  rethrow_not_found,
+} = require("../errors");
+require("dotenv").config();
+
+// Pages of 100 repositories read for stats, so accounts with thousands of repos stay cheap
+const GITHUB_MAX_REPO_PAGES = parseInt(process.env.GITHUB_MAX_REPO_PAGES || "5", 10);
+// GraphQL fetches a user's repositories, their languages and organizations in one call instead of dozens
+const GITHUB_GRAPHQL = process.env.GITHUB_GRAPHQL !== "false";
+
+// A GitHub App installation or a pool of tokens, see ../github_auth
+const github_credentials = create_github_credentials();
+
+const github_api = create_upstream_client({
+  name: "GitHub API",
+  base_url: "https://api.github.com",
+  headers: () => ({ "User-Agent": USER_AGENT }),
+  read_limits: read_github_limits,
+  credentials: github_credentials,
+});
+
+/**
+ * Run a GitHub GraphQL query
+ * @param {string} query - The GraphQL document
+ * @param {Object} variables - Its variables
+ * @returns {Promise<Object>} - The `data` of the response
+ * @throws {NotFoundError} - When the query only failed because something doesn't exist
+ */
+async function github_graphql(query, variables = {}) {
+  const res = await github_api.request("/graphql", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ query, variables }),
+  });
+  // GraphQL answers 200 even when the query failed, the errors come in the body
+  const { data, errors } = await res.json();
+  if (!errors || errors.length === 0) return data;
+  if (errors.every((error) => error.type === "NOT_FOUND")) {
+    throw new NotFoundError("GitHub API resource not found", { upstream_status: res.status });
+  }
+  if (errors.some((error) => error.type === "RATE_LIMITED")) {
+    throw new RateLimitedError("GitHub API rate limit reached, try again later", { upstream_status: res.status, retry_after: 60 });
+  }
+  throw new UpstreamError(`GitHub API GraphQL error: ${errors[0].message}`, { upstream_status: res.status });
+}
+
+const USER_FIELDS = `
+  databaseId login name avatarUrl url bio location company websiteUrl createdAt
+  followers { totalCount }
+  following { totalCount }
+`;
+
+const REPOSITORY_FIELDS = `
+  totalCount
+  pageInfo { hasNextPage endCursor }
+  nodes {
+    name nameWithOwner description url stargazerCount forkCount isFork isArchived pushedAt updatedAt
+    primaryLanguage { name }
+    repositoryTopics(first: 20) { nodes { topic { name } } }
+    languages(first: 20, orderBy: { field: SIZE, direction: DESC }) { edges { size node { name } } }
+  }
+`;
+
+const REPOSITORY_ARGS = "first: 100, after: $after, ownerAffiliations: OWNER, privacy: PUBLIC, orderBy: { field: STARGAZERS, direction: DESC }";
+
+const USER_QUERY = `query($login: String!) {
+  user(login: $login) {
+    ${USER_FIELDS}
+    repositories(ownerAffiliations: OWNER, privacy: PUBLIC) { totalCount }
+  }
+}`;
+
+const OVERVIEW_QUERY = `query($login: String!, $after: String) {
+  user(login: $login) {
+    ${USER_FIELDS}
+    repositories(${REPOSITORY_ARGS}) { ${REPOSITORY_FIELDS} }
+    organizations(first: 100) { nodes { databaseId login name description avatarUrl url websiteUrl location } }
+  }
+}`;
+
+const REPOSITORIES_QUERY = `query($login: String!, $after: String) {
+  user(login: $login) {
+    repositories(${REPOSITORY_ARGS}) { ${REPOSITORY_FIELDS} }
+  }
+}`;
+
+// GraphQL objects are reshaped like the REST ones, so the cache holds the same thing either way
+function rest_user(user) {
+  return {
+    id: user.databaseId,
+    login: user.login,
+    name: user.name,
+    type: "User",
+    avatar_url: user.avatarUrl,
+    html_url: user.url,
+    bio: user.bio,
+    public_repos: user.repositories.totalCount,
+    followers: user.followers.totalCount,
+    following: user.following.totalCount,
+    location: user.location,
+    company: user.company,
+    blog: user.websiteUrl || "",
+    created_at: user.createdAt,
+  };
+}
+
+function rest_repo(repo) {
+  return {
+    name: repo.name,
+    full_name: repo.nameWithOwner,
+    description: repo.description,
+    html_url: repo.url,
+    stargazers_count: repo.stargazerCount,
+    forks_count: repo.forkCount,
+    language: repo.primaryLanguage?.name ?? null,
+    topics: repo.repositoryTopics.nodes.map((node) => node.topic.name),
+    fork: repo.isFork,
+    archived: repo.isArchived,
+    pushed_at: repo.pushedAt,
+    updated_at: repo.updatedAt,
+  };
+}
+
+function rest_org(org) {
+  return {
+    id: org.databaseId,
+    login: org.login,
+    name: org.name,
+    description: org.description,
+    avatar_url: org.avatarUrl,
+    html_url: org.url,
+    blog: org.websiteUrl,
+    location: org.location,
+  };
+}
+
+// Users only, organizations and missing logins return null so the caller can ask REST
+async function graphql_user(query, variables) {
+  try {
+    return (await github_graphql(query, variables)).user;
+  } catch (err) {
+    if (err instanceof NotFoundError) return null;
+    throw err;
+  }
+}
+
+const overview_requests = new Map();
+
+/**
+ * Load a user, their repositories (with languages) and organizations in one GraphQL query,
+ * and prime the cache entries the REST calls would have filled
+ * @param {string} username - The GitHub username
+ * @returns {Promise<Object|null>} - { user, repos, orgs }, or null when the login isn't a user
+ */
+function load_github_overview(username) {
+  const login = username.toLowerCase();
+  // The repos and orgs loaders both land here, so concurrent calls share one query
+  if (overview_requests.has(login)) return overview_requests.get(login);
+
+  const promise = (async () => {
+    const user = await graphql_user(OVERVIEW_QUERY, { login: username });
+    if (!user) return null;
+
+    const nodes = [...user.repositories.nodes];
+    let page_info = user.repositories.pageInfo;
+    for (let page = 2; page <= GITHUB_MAX_REPO_PAGES && page_info.hasNextPage; page++) {
+      const next = await graphql_user(REPOSITORIES_QUERY, { login: username, after: page_info.endCursor });
+      if (!next) break;
+      nodes.push(...next.repositories.nodes);
+      page_info = next.repositories.pageInfo;
+    }
+
+    const overview = {
+      user: rest_user(user),
+      repos: nodes.map(rest_repo),
+      orgs: user.organizations.nodes.map(rest_org),
+    };
+    await Promise.all([
+      prime_cached(`github_${login}`, overview.user, "github_user"),
+      prime_cached(`github_repos_${login}`, overview.repos, "github_extras"),
+      prime_cached(`github_orgs_${login}`, overview.orgs, "github_extras"),
+      ...nodes.map((repo) => prime_cached(
+        `github_languages_${repo.nameWithOwner.toLowerCase()}`,
+        Object.fromEntries(repo.languages.edges.map((edge) => [edge.node.name, edge.size])),
+        "github_extras"
+      )),
+    ]);
+    return overview;
+  })().finally(() => overview_requests.delete(login));
+
+  overview_requests.set(login, promise);
+  return promise;
+}
+
+const isValidGithubUsername = (name) => /^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i.test(name);
+
+function validate_github_username(username) {
+  if (!isValidGithubUsername(username)) {
+    throw new InvalidRequestError("Invalid GitHub username", { code: "invalid_username" });
+  }
+}
+
+async function get_github_user(username) {
+  // GitHub logins are case-insensitive, so "Octocat" and "octocat" share an entry
+  return fetch_cached(`github_${username.toLowerCase()}`, async () => {
+    const found = GITHUB_GRAPHQL ? await graphql_user(USER_QUERY, { login: username }) : null;
+    let user = found && rest_user(found);
+    if (!user) {
+      const res = await rethrow_not_found(
+        github_api.request(`/users/${encodeURIComponent(username)}`),
+        "GitHub user not found",
+        "user_not_found"
+      );
+      user = await res.json();
+    }
+    // The avatar URL stays the same when the picture changes, so the archive tells them apart by content
+    archive_images("github", String(user.id), [
+      { kind: "avatar", url: github_provider.avatar_url(user, { size: ARCHIVE_IMAGE_SIZE }) },
+    ]);
+    return user;
+  }, "github_user");
+}
+
+function validate_github_org(org) {
+  // Organization logins follow the same rules as usernames
+  if (!isValidGithubUsername(org)) {
+    throw new InvalidRequestError("Invalid GitHub organization", { code: "invalid_org" });
+  }
+}
+
+/**
+ * Get every public repository a user owns, up to GITHUB_MAX_REPO_PAGES pages
+ * @param {string} username - The GitHub username
+ * @returns {Promise<Array<Object>>} - Raw repository objects from the GitHub API
+ */
+async function get_github_repos(username) {
+  return fetch_cached(`github_repos_${username.toLowerCase()}`, async () => {
+    const overview = GITHUB_GRAPHQL ? await load_github_overview(username) : null;
+    if (overview) return overview.repos;
+
+    const repos = [];
+    for (let page = 1; page <= GITHUB_MAX_REPO_PAGES; page++) {
+      const res = await rethrow_not_found(
+        github_api.request(`/users/${encodeURIComponent(username)}/repos?type=owner&per_page=100&page=${page}`),
+        "GitHub user not found",
+        "user_not_found"
+      );
+      const batch = await res.json();
+      repos.push(...batch);
+      if (batch.length < 100) break;
+    }
+    return repos;
+  }, "github_extras");
+}
+
+/**
+ * Bytes of code per language in one repository
+ * @param {string} full_name - Like "octocat/Hello-World"
+ * @returns {Promise<Object>} - Like { JavaScript: 12345, CSS: 678 }
+ */
+async function get_repo_languages(full_name) {
+  return fetch_cached(`github_languages_${full_name.toLowerCase()}`, async () => {
+    const res = await github_api.request(`/repos/${full_name}/languages`);
+    return res.json();
+  }, "github_extras");
+}
+
+async function get_github_orgs(username) {
+  return fetch_cached(`github_orgs_${username.toLowerCase()}`, async () => {
+    const overview = GITHUB_GRAPHQL ? await load_github_overview(username) : null;
+    if (overview) return overview.orgs;
+
+    const res = await rethrow_not_found(
+      github_api.request(`/users/${encodeURIComponent(username)}/orgs`),
+      "GitHub user not found",
+      "user_not_found"
+    );
+    return res.json();
+  }, "github_extras");
+}
+
+async function get_github_org(org) {
+  return fetch_cached(`github_org_${org.toLowerCase()}`, async () => {
+    const res = await rethrow_not_found(
+      github_api.request(`/orgs/${encodeURIComponent(org)}`),
+      "GitHub organization not found",
+      "org_not_found"
+    );
+    return res.json();
+  }, "github_extras");
+}
+
+function format_github_repo(repo) {
+  return {
+    name: repo.name,
+    full_name: repo.full_name,
+    description: repo.description,
+    url: repo.html_url,
+    stars: repo.stargazers_count,
+    forks: repo.forks_count,
+    language: repo.language,
+    topics: repo.topics || [],
+    fork: repo.fork,
+    archived: repo.archived,
+    updated_at: repo.pushed_at || repo.updated_at,
+  };
+}
+
+function format_github_org(org) {
+  return {
+    id: org.id,
+    login: org.login,
+    name: org.name || org.login,
+    description: org.description || null,
+    avatarUrl: org.avatar_url,
+    profileUrl: org.html_url || `https://github.com/${org.login}`,
+    blog: org.blog || null,
+    location: org.location || null,
+    public_repos: org.public_repos,
+    followers: org.followers,
+  };
+}
+
+/**
+ * Turn { language: bytes } into [{ name, bytes, percent }], largest first
+ * @param {Object} languages - From get_repo_languages
+ * @returns {Array<Object>} - The breakdown, percentages rounded to one decimal
+ */
+function language_breakdown(languages) {
+  const total = Object.values(languages).reduce((sum, bytes) => sum + bytes, 0);
+  return Object.entries(languages)
+    .sort(([, a], [, b]) => b - a)
+    .map(([name, bytes]) => ({ name, bytes, percent: total ? Math.round((bytes / total) * 1000) / 10 : 0 }));
+}
+
+/**
+ * Aggregate stars, forks and primary languages across a user's repositories
+ * @param {Array<Object>} repos - Raw repositories from get_github_repos
+ * @returns {Object} - { repos, total_stars, total_forks, languages: [{ name, repos, stars, percent }] }
+ */
+function summarize_repos(repos) {
+  const languages = new Map();
+  for (const repo of repos) {
+    if (!repo.language) continue;
+    const entry = languages.get(repo.language) || { name: repo.language, repos: 0, stars: 0 };
+    entry.repos++;
+    entry.stars += repo.stargazers_count;
+    languages.set(repo.language, entry);
+  }
+  const with_language = [...languages.values()].reduce((sum, entry) => sum + entry.repos, 0);
+
+  return {
+    repos: repos.length,
+    total_stars: repos.reduce((sum, repo) => sum + repo.stargazers_count, 0),
+    total_forks: repos.reduce((sum, repo) => sum + repo.forks_count, 0),
+    // Share of repositories written mainly in each language
+    languages: [...languages.values()]
+      .sort((a, b) => b.repos - a.repos || b.stars - a.stars)
+      .map((entry) => ({ ...entry, percent: Math.round((entry.repos / with_language) * 1000) / 10 })),
+  };
+}
+
+function format_github_user(user) {
+  return {
+    id: user.id,
+    username: user.login,
+    display_name: user.name || user.login,
+    avatarUrl: user.avatar_url,
+    profileUrl: user.html_url,
+    bio: user.bio,
+    public_repos: user.public_repos,
+    followers: user.followers,
+    following: user.following,
+    location: user.location,
+    company: user.company,
+    blog: user.blog
+  };
+}
+
+const github_provider = {
+  name: "github",
+  label: "GitHub",
+  id_description: "GitHub username",
+  upstream_formats: [],
+  has_banners: false,
+  validate_id: validate_github_username,
+  fetch_profile: get_github_user,
+  avatar_url(user, { size } = {}) {
+    const url = new URL(user.avatar_url);
+    if (size) url.searchParams.set("s", size);
+    return url.toString();
+  },
+  banner_url: () => null,
+  // GitHub serves its generated identicons from the same URL as uploads, so there's no telling them apart
+  has_custom_avatar: () => true,
+  to_json: (user) => ({ provider: "github", ...format_github_user(user) }),
+};
+
+module.exports = {
+  github_provider,
+  github_api,
+  github_credentials,
+  github_graphql,
+  isValidGithubUsername,
+  validate_github_username,
+  get_github_user,
+  format_github_user,
+  validate_github_org,
+  get_github_repos,
+  get_repo_languages,
+  get_github_orgs,
+  get_github_org,
+  format_github_repo,
+  format_github_org,
+  language_breakdown,
+  summarize_repos,
+};
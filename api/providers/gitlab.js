@@ -0,0 +1,68 @@
+const { fetch_cached } = require("../cache");
+const { create_upstream_client, read_ratelimit_headers } = require("../upstream");
+const { InvalidRequestError, NotFoundError, rethrow_not_found } = require("../errors");
+require("dotenv").config();
+
+// Point GITLAB_URL at a self-hosted instance to look users up there instead
+const GITLAB_URL = (process.env.GITLAB_URL || "https://gitlab.com").replace(/\/$/, "");
+const GITLAB_TOKEN = process.env.GITLAB_TOKEN;
+
+const gitlab_api = create_upstream_client({
+  name: "GitLab API",
+  base_url: `${GITLAB_URL}/api/v4`,
+  headers: () => (GITLAB_TOKEN ? { "PRIVATE-TOKEN": GITLAB_TOKEN } : {}),
+  read_limits: read_ratelimit_headers,
+});
+
+// Usernames, or a numeric user ID
+const isValidGitlabId = (id) => /^[a-zA-Z0-9_][a-zA-Z0-9_.-]{0,254}$/.test(id);
+
+async function get_gitlab_user(id) {
+  return fetch_cached(`gitlab_${id.toLowerCase()}`, async () => {
+    if (/^\d+$/.test(id)) {
+      const res = await rethrow_not_found(gitlab_api.request(`/users/${id}`), "GitLab user not found", "user_not_found");
+      return res.json();
+    }
+    const res = await gitlab_api.request(`/users?username=${encodeURIComponent(id)}`);
+    const [user] = await res.json();
+    if (!user) throw new NotFoundError("GitLab user not found", { code: "user_not_found" });
+    return user;
+  }, "profile");
+}
+
+const gitlab_provider = {
+  name: "gitlab",
+  label: "GitLab",
+  id_description: "GitLab username or numeric user ID",
+  upstream_formats: [],
+  has_banners: false,
+  validate_id(id) {
+    if (!isValidGitlabId(id)) throw new InvalidRequestError("Invalid GitLab username", { code: "invalid_username" });
+  },
+  fetch_profile: get_gitlab_user,
+  avatar_url(user, { size } = {}) {
+    if (!user.avatar_url) return null;
+    // Uploaded avatars are served from the instance and can be resized with ?width=
+    const url = new URL(user.avatar_url, GITLAB_URL);
+    if (size && url.origin === GITLAB_URL) url.searchParams.set("width", size);
+    return url.toString();
+  },
+  banner_url: () => null,
+  // Users without an upload get a Gravatar URL that falls back to an identicon
+  has_custom_avatar: (user) => Boolean(user.avatar_url) && !/gravatar\.com.*[?&]d=identicon/.test(user.avatar_url),
+  to_json(user) {
+    return {
+      provider: "gitlab",
+      id: user.id,
+      username: user.username,
+      display_name: user.name || user.username,
+      avatarUrl: user.avatar_url,
+      profileUrl: user.web_url,
+      state: user.state,
+      bio: user.bio,
+      location: user.location,
+    };
+  },
+};
+
+module.exports = { gitlab_provider, get_gitlab_user };
@@ -0,0 +1,85 @@
+const crypto = require("crypto");
+const { fetch_cached } = require("../cache");
+const { create_upstream_client, read_ratelimit_headers } = require("../upstream");
+const { InvalidRequestError, NotFoundError } = require("../errors");
+require("dotenv").config();
+
+// Optional, raises the profile API rate limit and unlocks more fields
+const GRAVATAR_API_KEY = process.env.GRAVATAR_API_KEY;
+
+const gravatar_api = create_upstream_client({
+  name: "Gravatar API",
+  base_url: "https://api.gravatar.com/v3",
+  headers: () => (GRAVATAR_API_KEY ? { Authorization: `Bearer ${GRAVATAR_API_KEY}` } : {}),
+  read_limits: read_ratelimit_headers,
+});
+
+const gravatar_cdn = create_upstream_client({ name: "Gravatar CDN", route_key: () => "avatar" });
+
+// Gravatar accepts both MD5 and SHA-256 hashes of the trimmed, lowercased email
+const isValidHash = (id) => /^([a-f0-9]{32}|[a-f0-9]{64})$/i.test(id);
+
+function hash_email(email) {
+  return crypto.createHash("sha256").update(email.trim().toLowerCase()).digest("hex");
+}
+
+function avatar_url(profile, { size } = {}) {
+  if (profile.has_avatar === false) return null;
+  // d=404 makes Gravatar answer 404 instead of its default image when there's no avatar
+  const params = new URLSearchParams({ d: "404" });
+  if (size) params.set("s", Math.min(size, 2048));
+  return `https://gravatar.com/avatar/${profile.hash}?${params}`;
+}
+
+async function has_avatar(hash) {
+  try {
+    await gravatar_cdn.request(avatar_url({ hash }), { method: "HEAD" });
+    return true;
+  } catch (err) {
+    if (err instanceof NotFoundError) return false;
+    throw err;
+  }
+}
+
+async function get_gravatar_profile(hash) {
+  return fetch_cached(`gravatar_${hash.toLowerCase()}`, async () => {
+    const [profile, avatar] = await Promise.all([
+      gravatar_api.request(`/profiles/${hash}`).then((res) => res.json()).catch((err) => {
+        // Plenty of people have an avatar but keep their profile private
+        if (err instanceof NotFoundError) return {};
+        throw err;
+      }),
+      has_avatar(hash),
+    ]);
+    return { ...profile, hash, has_avatar: avatar };
+  }, "profile");
+}
+
+const gravatar_provider = {
+  name: "gravatar",
+  label: "Gravatar",
+  id_description: "MD5 or SHA-256 hash of the email address",
+  upstream_formats: [],
+  has_banners: false,
+  validate_id(id) {
+    if (!isValidHash(id)) throw new InvalidRequestError("Invalid Gravatar hash", { code: "invalid_user_id" });
+  },
+  fetch_profile: get_gravatar_profile,
+  avatar_url,
+  banner_url: () => null,
+  has_custom_avatar: (profile) => profile.has_avatar,
+  to_json(profile) {
+    return {
+      provider: "gravatar",
+      id: profile.hash,
+      username: profile.display_name || null,
+      display_name: profile.display_name || null,
+      avatarUrl: avatar_url(profile),
+      profileUrl: profile.profile_url || null,
+      bio: profile.description || null,
+      location: profile.location || null,
+    };
+  },
+};
+
+module.exports = { gravatar_provider, get_gravatar_profile, hash_email };
@@ -0,0 +1,36 @@
+const { discord_provider } = require("./discord");
+const { github_provider } = require("./github");
+const { gitlab_provider } = require("./gitlab");
+const { gravatar_provider } = require("./gravatar");
+const { bluesky_provider } = require("./bluesky");
+const { steam_provider } = require("./steam");
+
+const providers = new Map();
+
+/**
+ * Add a provider to the registry, which exposes it on /api/:provider/:id and friends
+ * @param {Object} provider - Defines name, label, id_description, upstream_formats, has_banners,
+ *                            validate_id, fetch_profile, avatar_url, banner_url, has_custom_avatar and to_json,
+ *                            optionally accent_color for tinting generated fallback avatars, and
+ *                            animated_formats and is_animated for providers with animated images,
+ *                            and versioned_urls when image URLs change whenever the image does
+ */
+function register_provider(provider) {
+  // Providers that need configuration (like an API key) opt out with enabled: false
+  if (provider.enabled === false) return;
+  providers.set(provider.name, provider);
+}
+
+function get_provider(name) {
+  return providers.get(String(name).toLowerCase());
+}
+
+function list_providers() {
+  return [...providers.values()];
+}
+
+[discord_provider, github_provider, gitlab_provider, gravatar_provider, bluesky_provider, steam_provider].forEach(
+  register_provider
+);
+
+module.exports = { register_provider, get_provider, list_providers };
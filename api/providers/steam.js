@@ -0,0 +1,82 @@
+const { fetch_cached } = require("../cache");
+const { create_upstream_client } = require("../upstream");
+const { InvalidRequestError, NotFoundError } = require("../errors");
+require("dotenv").config();
+
+// The Steam Web API has no anonymous access, so the provider is only enabled with a key
+const STEAM_API_KEY = process.env.STEAM_API_KEY;
+
+const steam_api = create_upstream_client({
+  name: "Steam API",
+  base_url: "https://api.steampowered.com",
+  // The key is part of the query string, keep it out of the bucket keys
+  route_key: (path) => path.split("?")[0],
+});
+
+// Hash of the "?" avatar Steam gives accounts that never uploaded one
+const DEFAULT_AVATAR_HASH = "fef49e7fa7e1997310d705b2a6158ff8dc1cdfeb";
+
+const isSteamId64 = (id) => /^7656\d{13}$/.test(id);
+const isValidVanity = (id) => /^[a-zA-Z0-9_-]{2,32}$/.test(id);
+
+async function resolve_steam_id(id) {
+  if (isSteamId64(id)) return id;
+  return fetch_cached(`steam_vanity_${id.toLowerCase()}`, async () => {
+    const params = new URLSearchParams({ key: STEAM_API_KEY, vanityurl: id });
+    const res = await steam_api.request(`/ISteamUser/ResolveVanityURL/v1/?${params}`);
+    const { response } = await res.json();
+    if (response.success !== 1) throw new NotFoundError("Steam user not found", { code: "user_not_found" });
+    return response.steamid;
+  }, "profile");
+}
+
+async function get_steam_player(id) {
+  const steamid = await resolve_steam_id(id);
+  return fetch_cached(`steam_${steamid}`, async () => {
+    const params = new URLSearchParams({ key: STEAM_API_KEY, steamids: steamid });
+    const res = await steam_api.request(`/ISteamUser/GetPlayerSummaries/v2/?${params}`);
+    const { response } = await res.json();
+    const [player] = response.players;
+    if (!player) throw new NotFoundError("Steam user not found", { code: "user_not_found" });
+    return player;
+  }, "profile");
+}
+
+const steam_provider = {
+  name: "steam",
+  label: "Steam",
+  id_description: "SteamID64 or custom profile URL name",
+  enabled: Boolean(STEAM_API_KEY),
+  upstream_formats: [],
+  // Image URLs carry the avatar hash
+  versioned_urls: true,
+  has_banners: false,
+  validate_id(id) {
+    if (!isSteamId64(id) && !isValidVanity(id)) {
+      throw new InvalidRequestError("Invalid Steam ID", { code: "invalid_user_id" });
+    }
+  },
+  fetch_profile: get_steam_player,
+  // Steam only has 32, 64 and 184px versions
+  avatar_url(player, { size = 184 } = {}) {
+    if (size <= 32) return player.avatar;
+    if (size <= 64) return player.avatarmedium;
+    return player.avatarfull;
+  },
+  banner_url: () => null,
+  has_custom_avatar: (player) => Boolean(player.avatarhash) && player.avatarhash !== DEFAULT_AVATAR_HASH,
+  to_json(player) {
+    return {
+      provider: "steam",
+      id: player.steamid,
+      username: player.personaname,
+      display_name: player.personaname,
+      avatarUrl: player.avatarfull,
+      profileUrl: player.profileurl,
+      real_name: player.realname || null,
+      country: player.loccountrycode || null,
+    };
+  },
+};
+
+module.exports = { steam_provider, get_steam_player };
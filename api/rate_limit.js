@@ -0,0 +1,145 @@
+const rateLimit = require("express-rate-limit");
+const { RateLimitedError, async_handler } = require("./errors");
+const { is_admin } = require("./auth");
+const { request_key, resolve_key, record_usage } = require("./keys");
+const { create_rate_limit_store } = require("./rate_limit_store");
+const { logger } = require("./request_context");
+require("dotenv").config();
+
+// The anonymous tier, limited per IP like before API keys existed
+const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS || String(15 * 60 * 1000), 10);
+const RATE_LIMIT_MAX = parseInt(process.env.RATE_LIMIT_MAX || "100", 10);
+// Image routes download and often re-encode bytes, so they get their own, smaller allowance
+const RATE_LIMIT_IMAGE_MAX = parseInt(process.env.RATE_LIMIT_IMAGE_MAX || "50", 10);
+// Bursts are limited over a short window on top of the main one, 0 leaves them unlimited
+const RATE_LIMIT_BURST_WINDOW_MS = parseInt(process.env.RATE_LIMIT_BURST_WINDOW_MS || "10000", 10);
+const RATE_LIMIT_BURST = parseInt(process.env.RATE_LIMIT_BURST || "0", 10);
+
+// Routes that send image bytes rather than JSON or a redirect
+const IMAGE_ROUTES = [
+  /^\/api\/pfp\//,
+  /^\/api\/card\//,
+  /^\/api\/badges\/[^/]+$/,
+  /^\/api\/identity\/pfp$/,
+  /^\/api\/banner\/[^/]+\/image$/,
+  /^\/api\/user\/[^/]+\/badges\/image$/,
+  /^\/api\/guild\/[^/]+\/(icon|banner|splash)(\/[^/]+)?$/,
+  /\/pfp(\/history\/[^/]+)?$/,
+  /^\/api\/[^/]+\/[^/]+\/banner$/,
+];
+
+/**
+ * Which allowance a request counts against
+ * @param {string} path - The request path
+ * @returns {string} - "image" or "json"
+ */
+function route_kind(path) {
+  // History listings are JSON even under /api/pfp
+  if (/\/history$/.test(path)) return "json";
+  return IMAGE_ROUTES.some((pattern) => pattern.test(path)) ? "image" : "json";
+}
+
+const anonymous = (req) => ({
+  id: `ip_${req.ip}`,
+  key_id: null,
+  limits: { json: RATE_LIMIT_MAX, image: RATE_LIMIT_IMAGE_MAX },
+  burst: RATE_LIMIT_BURST,
+});
+
+/**
+ * Express middleware that works out who is calling and their limits, as req.client:
+ * { id, key_id, limits: { json, image }, burst, admin }, and which of the limits the
+ * request counts against, as req.route_kind. Requests without a key are anonymous and limited by IP
+ * @throws {UnauthorizedError} - When a key is sent but it's unknown or revoked
+ */
+async function identify_client(req, res, next) {
+  req.route_kind = route_kind(req.path);
+  if (is_admin(req)) {
+    req.client = { id: "admin", key_id: null, limits: {}, burst: 0, admin: true };
+    return next();
+  }
+  const key = request_key(req);
+  if (!key) {
+    req.client = anonymous(req);
+    return next();
+  }
+
+  let record;
+  try {
+    record = await resolve_key(key);
+  } catch (err) {
+    if (err.status === 401) return next(err);
+    // Supabase being down shouldn't take keyed clients down with it, they fall back to the anonymous tier
+    logger.error("API key lookup failed:", err.message);
+    req.client = anonymous(req);
+    return next();
+  }
+
+  req.client = {
+    id: `key_${record.id}`,
+    key_id: record.id,
+    limits: { json: record.rate_limit, image: record.image_rate_limit },
+    burst: record.burst,
+  };
+  res.on("finish", () => record_usage(record.id, res.statusCode === 429));
+  next();
+}
+
+function limited(message) {
+  return (req, res, next, options) => {
+    const reset = req[options.requestPropertyName]?.resetTime;
+    const retry_after = reset ? Math.max(1, Math.ceil((reset.getTime() - Date.now()) / 1000)) : undefined;
+    next(new RateLimitedError(message, { retry_after }));
+  };
+}
+
+// Sends RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset for the kind of route called
+function window_limiter(kind) {
+  return rateLimit({
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    limit: (req) => req.client.limits[kind],
+    keyGenerator: (req) => req.client.id,
+    skip: (req) => req.client.admin || req.route_kind !== kind,
+    store: create_rate_limit_store({ prefix: kind }),
+    // A store that can't be reached lets requests through rather than failing them
+    passOnStoreError: true,
+    standardHeaders: "draft-6",
+    legacyHeaders: false,
+    handler: limited(
+      kind === "image"
+        ? "Too many image requests, try again later or use an API key with a higher limit"
+        : "Too many requests, try again later or use an API key with a higher limit"
+    ),
+  });
+}
+
+const burst_limiter = rateLimit({
+  windowMs: RATE_LIMIT_BURST_WINDOW_MS,
+  limit: (req) => req.client.burst,
+  keyGenerator: (req) => req.client.id,
+  skip: (req) => req.client.admin || !req.client.burst,
+  store: create_rate_limit_store({ prefix: "burst" }),
+  passOnStoreError: true,
+  standardHeaders: false,
+  legacyHeaders: false,
+  requestPropertyName: "burst_limit",
+  handler: limited("Too many requests at once, slow down"),
+});
+
+const rate_limit = [
+  async_handler(identify_client),
+  window_limiter("json"),
+  window_limiter("image"),
+  burst_limiter,
+];
+
+module.exports = {
+  RATE_LIMIT_WINDOW_MS,
+  RATE_LIMIT_MAX,
+  RATE_LIMIT_IMAGE_MAX,
+  RATE_LIMIT_BURST_WINDOW_MS,
+  RATE_LIMIT_BURST,
+  route_kind,
+  identify_client,
+  rate_limit,
+};
@@ -0,0 +1,155 @@
+const { logger } = require("./request_context");
+require("dotenv").config();
+
+// "memory", "redis" or "supabase". Only the shared ones hold on Vercel, where every instance has its own memory
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || "memory";
+
+// Counters per key and window, each backend implements { hit, reset }:
+// hit(key, window, window_ms, delta) adds delta to the window's count and resolves to { current, previous },
+// reset(key, window) clears the window and the one before it
+
+function create_memory_counter() {
+  const windows = new Map();
+
+  // Entries two windows old can't count anymore
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.expires_at <= now) windows.delete(key);
+    }
+  }, 60 * 1000).unref();
+
+  return {
+    name: "memory",
+    async hit(key, window, window_ms, delta) {
+      let entry = windows.get(key);
+      if (!entry || entry.window < window - 1) entry = { window, current: 0, previous: 0 };
+      else if (entry.window === window - 1) entry = { window, current: 0, previous: entry.current };
+      entry.current = Math.max(0, entry.current + delta);
+      entry.expires_at = (window + 2) * window_ms;
+      windows.set(key, entry);
+      return { current: entry.current, previous: entry.previous };
+    },
+    async reset(key) {
+      windows.delete(key);
+    },
+  };
+}
+
+// INCRBY and the read of the previous window in one round trip, atomic across instances
+const REDIS_HIT_SCRIPT = `
+local current = redis.call("INCRBY", KEYS[1], ARGV[1])
+if current < 0 then
+  redis.call("SET", KEYS[1], 0)
+  current = 0
+end
+redis.call("PEXPIRE", KEYS[1], ARGV[2])
+return { current, tonumber(redis.call("GET", KEYS[2]) or "0") }
+`;
+
+function create_redis_counter(url = process.env.REDIS_URL) {
+  if (!url) throw new Error("Missing REDIS_URL in .env for RATE_LIMIT_STORE=redis");
+  const Redis = require("ioredis");
+  const client = new Redis(url, { enableOfflineQueue: false, maxRetriesPerRequest: 1 });
+  client.on("error", (err) => logger.error("Redis rate limit error:", err.message));
+  client.defineCommand("rate_limit_hit", { numberOfKeys: 2, lua: REDIS_HIT_SCRIPT });
+  const prefix = `${process.env.REDIS_CACHE_PREFIX || "avatarcyan:"}ratelimit:`;
+
+  return {
+    name: "redis",
+    client,
+    async hit(key, window, window_ms, delta) {
+      const [current, previous] = await client.rate_limit_hit(
+        `${prefix}${key}:${window}`,
+        `${prefix}${key}:${window - 1}`,
+        delta,
+        window_ms * 2
+      );
+      return { current, previous };
+    },
+    async reset(key, window) {
+      await client.del(`${prefix}${key}:${window}`, `${prefix}${key}:${window - 1}`);
+    },
+  };
+}
+
+// The rate_limit_hit function does the same as the Redis script, see supabase/migrations/20261019000005_rate_limit_hits.sql
+function create_supabase_counter() {
+  // Required here so the memory and Redis stores work without Supabase
+  const supabase = require("./supabase").get_supabase();
+
+  return {
+    name: "supabase",
+    async hit(key, window, window_ms, delta) {
+      const { data, error } = await supabase.rpc("rate_limit_hit", {
+        key_param: key,
+        window_param: window,
+        window_ms_param: window_ms,
+        delta_param: delta,
+      });
+      if (error) throw error;
+      const row = data?.[0] || {};
+      return { current: Number(row.current_hits || 0), previous: Number(row.previous_hits || 0) };
+    },
+    async reset(key) {
+      const { error } = await supabase.from("rate_limit_hits").delete().eq("key", key);
+      if (error) throw error;
+    },
+  };
+}
+
+const COUNTERS = {
+  memory: create_memory_counter,
+  redis: create_redis_counter,
+  supabase: create_supabase_counter,
+};
+
+// One per backend, so every limiter shares the same connection
+const counters = {};
+
+/**
+ * An express-rate-limit store with sliding windows: the count of the previous window is
+ * weighted by how much of it still overlaps the sliding window, so a client can't send a
+ * full window's worth on each side of a window boundary
+ * @param {Object} options
+ * @param {string} options.prefix - Keeps the counters of different limiters apart
+ * @param {string} options.backend - One of "memory", "redis", "supabase" (default RATE_LIMIT_STORE)
+ * @returns {Object} - The store, see express-rate-limit's Store type
+ */
+function create_rate_limit_store({ prefix, backend = RATE_LIMIT_STORE }) {
+  if (!COUNTERS[backend]) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${backend}", expected one of ${Object.keys(COUNTERS).join(", ")}`);
+  }
+  const counter = (counters[backend] ||= COUNTERS[backend]());
+  let window_ms;
+
+  async function hit(key, delta) {
+    const now = Date.now();
+    const window = Math.floor(now / window_ms);
+    const { current, previous } = await counter.hit(`${prefix}:${key}`, window, window_ms, delta);
+    const overlap = 1 - (now - window * window_ms) / window_ms;
+    return {
+      totalHits: current + Math.floor(previous * overlap),
+      resetTime: new Date((window + 1) * window_ms),
+    };
+  }
+
+  return {
+    prefix,
+    // Counts in memory are per instance, shared stores aren't
+    localKeys: backend === "memory",
+    init(options) {
+      window_ms = options.windowMs;
+    },
+    increment: (key) => hit(key, 1),
+    async decrement(key) {
+      await hit(key, -1);
+    },
+    resetKey: (key) => counter.reset(`${prefix}:${key}`, Math.floor(Date.now() / window_ms)),
+  };
+}
+
+module.exports = {
+  RATE_LIMIT_STORE,
+  create_rate_limit_store,
+};
@@ -0,0 +1,36 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Follows a request through every await, so code far from the route can tell which request it's serving
+const context = new AsyncLocalStorage();
+
+/**
+ * ID of the request being handled
+ * @returns {string|undefined} - The ID, or undefined outside a request (checker, gateway worker...)
+ */
+function current_request_id() {
+  return context.getStore()?.id;
+}
+
+// Like console, with the ID of the request being handled in front of every line written during it
+const logger = Object.fromEntries(["log", "info", "warn", "error"].map((level) => [
+  level,
+  (...args) => {
+    const id = current_request_id();
+    return id ? console[level](`[${id}]`, ...args) : console[level](...args);
+  },
+]));
+
+// Reuse the caller's request ID when it looks sane so logs can be correlated across services
+function request_id(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && /^[\w.-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  context.run({ id: req.id }, next);
+}
+
+module.exports = {
+  logger,
+  current_request_id,
+  request_id,
+};
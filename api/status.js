@@ -0,0 +1,468 @@
+const crypto = require("crypto");
+const fetch = (...args) => import("node-fetch").then(({ default: f }) => f(...args));
+const { notify_status_changes } = require("./alerts");
+const { RESOURCE_TTLS, avatarcyan_cache, fetch_cached, prime_cached } = require("./cache");
+const { InvalidRequestError, NotFoundError } = require("./errors");
+const { self_test } = require("./image");
+const { github_credentials } = require("./providers/github");
+const { status_store } = require("./status_store");
+const { logger } = require("./request_context");
+require("dotenv").config();
+
+const DISCORD_BOT_TOKEN = process.env.DISCORD_BOT_TOKEN;
+// Days of uptime bars, like most status pages
+const STATUS_HISTORY_DAYS = 90;
+// Logs older than this are removed once a day by scheduled runs, keep at least STATUS_HISTORY_DAYS
+const STATUS_RETENTION_DAYS = parseInt(process.env.STATUS_RETENTION_DAYS || "90", 10);
+const STATUS_CACHE_KEY = "status_checks";
+const STATUS_PRIORITY = { operational: 1, maintenance: 2, degraded: 3, down: 4 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+// node-fetch 3 has no timeout option, an upstream that never answers would hold the run forever
+const STATUS_CHECK_TIMEOUT_MS = 5000;
+
+async function check_discord_api() {
+  const start = Date.now();
+  try {
+    const res = await fetch("https://discord.com/api/v10/gateway", {
+      headers: { Authorization: `Bot ${DISCORD_BOT_TOKEN}` },
+      signal: AbortSignal.timeout(STATUS_CHECK_TIMEOUT_MS),
+    });
+    const time = Date.now() - start;
+    
+    if (!res.ok) {
+      return {
+        status: "down",
+        responseTime: time,
+        message: `Discord API error: ${res.status} ${res.statusText}`,
+      };
+    }
+    
+    const data = await res.json();
+    if (!data.url) {
+      return {
+        status: "degraded",
+        responseTime: time,
+        message: "Discord API responding but gateway URL missing",
+      };
+    }
+    
+    return {
+      status: time > 2000 ? "degraded" : "operational",
+      responseTime: time,
+      message: time > 2000 ? "Discord API slow response" : "Discord API operational",
+    };
+  } catch (e) {
+    const time = Date.now() - start;
+    return { 
+      status: "down", 
+      responseTime: time, 
+      message: `Discord API connection failed: ${e.message}` 
+    };
+  }
+}
+
+async function check_github_api() {
+  const start = Date.now();
+  try {
+    // Same credentials as the GitHub routes, so a revoked token or App installation shows up here
+    const credential = await github_credentials.acquire("GET /users/octocat");
+    const res = await fetch("https://api.github.com/users/octocat", {
+      headers: {
+        "User-Agent": "Node.js Server",
+        ...credential.headers,
+      },
+      signal: AbortSignal.timeout(STATUS_CHECK_TIMEOUT_MS),
+    });
+    const time = Date.now() - start;
+    return {
+      status: res.ok ? (time > 2000 ? "degraded" : "operational") : "down",
+      responseTime: time,
+      message: res.ok ? `GitHub OK (${github_credentials.mode})` : "GitHub error",
+    };
+  } catch (e) {
+    return { status: "down", responseTime: Date.now() - start, message: e.message };
+  }
+}
+
+async function check_image_processing() {
+  const start = Date.now();
+  try {
+    // Runs a generated image through the same pipeline the image routes use
+    const metadata = await self_test();
+    const time = Date.now() - start;
+
+    if (metadata.format !== "webp" || metadata.width !== 32 || metadata.height !== 32) {
+      return {
+        status: "degraded",
+        responseTime: time,
+        message: `Image processing produced unexpected output: ${metadata.format} ${metadata.width}x${metadata.height}`,
+      };
+    }
+    
+    return {
+      status: time > 1000 ? "degraded" : "operational",
+      responseTime: time,
+      message: time > 1000 ? "Image processing slow" : "Image processing operational",
+    };
+  } catch (e) {
+    const time = Date.now() - start;
+    return { 
+      status: "down", 
+      responseTime: time, 
+      message: `Image processing system error: ${e.message}` 
+    };
+  }
+}
+
+async function check_cache_system() {
+  const start = Date.now();
+  try {
+    const key = `test_${Date.now()}`;
+    await avatarcyan_cache.set(key, true, 5);
+    const val = await avatarcyan_cache.get(key);
+    await avatarcyan_cache.del(key);
+    const time = Date.now() - start;
+    const backend = avatarcyan_cache.backend.name;
+    return {
+      status: val ? "operational" : "degraded",
+      responseTime: time,
+      message: val ? `Cache OK (${backend})` : `Cache failed (${backend})`,
+    };
+  } catch (e) {
+    return { status: "down", responseTime: Date.now() - start, message: e.message };
+  }
+}
+
+// Every run checks these, in the order status pages list them. The IDs are for query parameters
+const SERVICES = [
+  { id: "discord", name: "Discord API Gateway", check: check_discord_api },
+  { id: "github", name: "GitHub API Gateway", check: check_github_api },
+  { id: "image", name: "Image Processing Engine", check: check_image_processing },
+  { id: "cache", name: "Cache & Rate Limiting", check: check_cache_system },
+];
+
+/**
+ * Find a service by its ID
+ * @param {string} id - Like "discord"
+ * @returns {Object} - The entry of SERVICES
+ * @throws {InvalidRequestError} - When there's no such service
+ */
+function find_service(id) {
+  const service = SERVICES.find((entry) => entry.id === id);
+  if (!service) {
+    throw new InvalidRequestError(
+      `Invalid service: expected one of ${SERVICES.map((entry) => entry.id).join(", ")}`,
+      { code: "invalid_parameter" }
+    );
+  }
+  return service;
+}
+
+function parse_time(body, field) {
+  const time = typeof body[field] === "string" ? Date.parse(body[field]) : NaN;
+  if (Number.isNaN(time)) {
+    throw new InvalidRequestError(`Invalid ${field}: expected an ISO 8601 date`, { code: "invalid_parameter" });
+  }
+  return new Date(time).toISOString();
+}
+
+/**
+ * Schedule maintenance for some services
+ * @param {Object} body - { title, description, services, starts_at, ends_at } from the request.
+ * services defaults to every service and starts_at to now
+ * @returns {Promise<Object>} - The stored window
+ * @throws {InvalidRequestError} - When a field is missing or invalid
+ */
+async function create_maintenance_window(body = {}) {
+  const invalid = (message) => new InvalidRequestError(message, { code: "invalid_parameter" });
+
+  const title = typeof body.title === "string" ? body.title.trim() : "";
+  if (!title || title.length > 200) throw invalid("Invalid title: expected 1 to 200 characters");
+  const description = body.description ?? null;
+  if (description !== null && (typeof description !== "string" || description.length > 2000)) {
+    throw invalid("Invalid description: expected at most 2000 characters");
+  }
+  const services = body.services ?? SERVICES.map(({ id }) => id);
+  if (!Array.isArray(services) || services.length === 0) throw invalid("Invalid services: expected a list of service IDs");
+  services.forEach(find_service);
+
+  const starts_at = body.starts_at === undefined ? new Date().toISOString() : parse_time(body, "starts_at");
+  const ends_at = parse_time(body, "ends_at");
+  if (Date.parse(ends_at) <= Date.parse(starts_at)) throw invalid("Invalid ends_at: expected a time after starts_at");
+  if (Date.parse(ends_at) <= Date.now()) throw invalid("Invalid ends_at: expected a time in the future");
+
+  return status_store.insert_maintenance_window({
+    id: crypto.randomUUID(),
+    title,
+    description,
+    services: [...new Set(services)],
+    starts_at,
+    ends_at,
+    created_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Maintenance windows that ended at most days ago, are underway or are scheduled, soonest first
+ * @param {number} days - How many days to look back
+ * @returns {Promise<Object>} - { windows }
+ */
+async function list_maintenance(days) {
+  return { windows: await status_store.list_maintenance_windows(new Date(Date.now() - days * DAY_MS).toISOString()) };
+}
+
+async function cancel_maintenance_window(id) {
+  if (!(await status_store.delete_maintenance_window(id))) {
+    throw new NotFoundError("Maintenance window not found", { code: "maintenance_not_found" });
+  }
+}
+
+/**
+ * Maintenance that's underway and scheduled, soonest first
+ * @returns {Promise<Object>} - { active, upcoming }, both lists of windows
+ */
+async function get_maintenance_schedule() {
+  const now = Date.now();
+  let windows = [];
+  try {
+    windows = await status_store.list_maintenance_windows(new Date(now).toISOString());
+  } catch (err) {
+    // Checks and status pages carry on as if nothing was scheduled
+    logger.error("Failed to read maintenance windows:", err.message);
+  }
+  return {
+    active: windows.filter((window) => Date.parse(window.starts_at) <= now),
+    upcoming: windows.filter((window) => Date.parse(window.starts_at) > now),
+  };
+}
+
+// Failing checks are expected during maintenance, so they're recorded as maintenance, which
+// doesn't count against uptime, open incidents or send alerts
+function apply_maintenance(result, active) {
+  const window = active.find((entry) => entry.services.includes(result.id));
+  if (!window || result.status === "operational") return result;
+  return { ...result, status: "maintenance", message: `${window.title}: ${result.message}` };
+}
+
+// One incident per outage: opened by the first check that isn't operational, raised when the
+// service gets worse and resolved by the first operational check. Open incidents are read back
+// from the status store each run, so instances running the checks agree on them
+async function track_incidents(services, checked_at) {
+  let open;
+  try {
+    open = await status_store.get_open_incidents();
+  } catch (err) {
+    // Without them a run can't tell a new outage from an ongoing one, the next run tries again
+    logger.error("Failed to read open incidents:", err.message);
+    return;
+  }
+
+  await Promise.all(services.map(async ({ name, status, message }) => {
+    if (status === "maintenance") return;
+    const incident = open.find((entry) => entry.service_name === name);
+    try {
+      if (status === "operational") {
+        if (incident) await status_store.update_incident(incident.id, { resolved_at: checked_at });
+      } else if (!incident) {
+        await status_store.open_incident({ id: crypto.randomUUID(), service_name: name, status, message, started_at: checked_at });
+      } else if (STATUS_PRIORITY[status] > STATUS_PRIORITY[incident.status]) {
+        await status_store.update_incident(incident.id, { status, message });
+      }
+    } catch (err) {
+      logger.error(`Failed to update the incident of ${name}:`, err.message);
+    }
+  }));
+}
+
+/**
+ * Check every service, save the results to the status logs, open or resolve incidents and send alerts
+ * @returns {Promise<Object>} - { checked_at, services: [{ id, name, status, responseTime, message }], maintenance: { active, upcoming } }
+ */
+async function run_status_checks() {
+  const [results, maintenance] = await Promise.all([
+    Promise.all(SERVICES.map(async ({ id, name, check }) => ({ id, name, ...(await check()) }))),
+    get_maintenance_schedule(),
+  ]);
+  const services = results.map((result) => apply_maintenance(result, maintenance.active));
+  const checked_at = new Date().toISOString();
+
+  await Promise.all([
+    // A missed log only leaves a gap in the history
+    ...services.map(({ name, status, responseTime, message }) =>
+      status_store.save_status_log(name, status, responseTime, message)
+        .catch((err) => logger.error(`Failed to save the status of ${name}:`, err.message))
+    ),
+    track_incidents(services, checked_at),
+    notify_status_changes(services).catch((err) => logger.error("Status alerts failed:", err.message)),
+  ]);
+
+  return { checked_at, services, maintenance };
+}
+
+/**
+ * The results of the last run, running the checks when they're older than STATUS_CHECK_INTERVAL.
+ * Pages read this, so checks run at most once per interval however busy the status page is
+ * @returns {Promise<Object>} - Like run_status_checks
+ */
+async function get_current_status() {
+  return fetch_cached(STATUS_CACHE_KEY, run_status_checks, "status");
+}
+
+/**
+ * Run the checks now, for the scheduler, and serve the results to pages. Also removes old logs once a day
+ * @returns {Promise<Object>} - Like run_status_checks
+ */
+let last_prune = 0;
+
+async function refresh_status() {
+  if (Date.now() - last_prune >= DAY_MS) {
+    last_prune = Date.now();
+    status_store.clean_old_logs(STATUS_RETENTION_DAYS)
+      .catch((err) => logger.error("Failed to remove old status logs:", err.message));
+  }
+  const snapshot = await run_status_checks();
+  await prime_cached(STATUS_CACHE_KEY, snapshot, "status");
+  return snapshot;
+}
+
+/**
+ * Run the checks every STATUS_CHECK_INTERVAL seconds for as long as the process lives.
+ * Serverless deployments call /api/status/check from a cron job instead
+ * @returns {Object} - { stop }
+ */
+function start_status_checker() {
+  const run = () => refresh_status().catch((err) => logger.error("Status checks failed:", err.message));
+  run();
+  const timer = setInterval(run, RESOURCE_TTLS.status.ttl * 1000);
+  return { stop: () => clearInterval(timer) };
+}
+
+// UTC dates from days - 1 days ago up to today, oldest first
+function recent_days(days) {
+  const today = Math.floor(Date.now() / DAY_MS);
+  return Array.from({ length: days }, (_, i) =>
+    new Date((today - days + 1 + i) * DAY_MS).toISOString().slice(0, 10)
+  );
+}
+
+// Degraded still counts as up, maintenance doesn't count at all
+function uptime_percentage({ total, down, maintenance }) {
+  const counted = total - maintenance;
+  return counted > 0 ? Number((((counted - down) / counted) * 100).toFixed(2)) : null;
+}
+
+// The worst status seen that day, so a single failed check still shows on the bar
+function bar_status({ total, down, degraded, maintenance }) {
+  if (!total) return "no_data";
+  if (down) return "down";
+  if (degraded) return "degraded";
+  if (maintenance) return "maintenance";
+  return "operational";
+}
+
+function incident_end(incident) {
+  return incident.resolved_at ? Date.parse(incident.resolved_at) : Date.now();
+}
+
+/**
+ * Daily uptime bars of every service, oldest first, with their uptime over the whole period and the last 24 hours
+ * @param {number} days - How many days, today included (default STATUS_HISTORY_DAYS)
+ * @returns {Promise<Object>} - { days, services: [{ id, name, uptime, uptime_24h, bars: [{ date, status, uptime, checks, incidents }] }] }
+ */
+async function get_status_history(days = STATUS_HISTORY_DAYS) {
+  const [rows, incidents, uptimes_24h] = await Promise.all([
+    status_store.get_daily_status(days),
+    status_store.get_service_incidents(null, days),
+    Promise.all(SERVICES.map(({ name }) => status_store.get_service_uptime(name, 24))),
+  ]);
+
+  const counts_by_day = new Map(rows.map((row) => [
+    `${row.service_name}/${String(row.day).slice(0, 10)}`,
+    {
+      total: Number(row.total_checks),
+      down: Number(row.down_checks),
+      degraded: Number(row.degraded_checks),
+      maintenance: Number(row.maintenance_checks),
+    },
+  ]));
+  const dates = recent_days(days);
+
+  const services = SERVICES.map(({ id, name }, i) => {
+    const own_incidents = incidents.filter((incident) => incident.service_name === name);
+    const totals = { total: 0, down: 0, degraded: 0, maintenance: 0 };
+
+    const bars = dates.map((date) => {
+      const counts = counts_by_day.get(`${name}/${date}`) || { total: 0, down: 0, degraded: 0, maintenance: 0 };
+      for (const field of Object.keys(totals)) totals[field] += counts[field];
+      const start = Date.parse(date);
+      return {
+        date,
+        status: bar_status(counts),
+        uptime: uptime_percentage(counts),
+        checks: counts.total,
+        incidents: own_incidents.filter(
+          (incident) => Date.parse(incident.started_at) < start + DAY_MS && incident_end(incident) >= start
+        ).length,
+      };
+    });
+
+    const last_24h = uptimes_24h[i];
+    return {
+      id,
+      name,
+      uptime: uptime_percentage(totals),
+      uptime_24h: last_24h.uptime_percentage === null ? null : Number(last_24h.uptime_percentage),
+      bars,
+    };
+  });
+
+  return { days, services };
+}
+
+function format_incident(incident) {
+  const service = SERVICES.find((entry) => entry.name === incident.service_name);
+  return {
+    id: incident.id,
+    service: service?.id ?? null,
+    name: incident.service_name,
+    status: incident.status,
+    message: incident.message,
+    started_at: incident.started_at,
+    resolved_at: incident.resolved_at,
+    ongoing: !incident.resolved_at,
+    duration: Math.round((incident_end(incident) - Date.parse(incident.started_at)) / 1000),
+  };
+}
+
+/**
+ * Incidents that started over the past days plus those still ongoing, newest first
+ * @param {number} days - How many days to look back
+ * @param {string} service_id - Only this service, like "discord" (default every service)
+ * @returns {Promise<Object>} - { days, incidents: [{ id, service, name, status, message, started_at, resolved_at, ongoing, duration }] }
+ * @throws {InvalidRequestError} - When the service is unknown
+ */
+async function get_incidents(days, service_id) {
+  const service = service_id ? find_service(service_id) : null;
+  const incidents = await status_store.get_service_incidents(service?.name ?? null, days);
+  return { days, incidents: incidents.map(format_incident) };
+}
+
+// `npm run checker` runs only the checks, for example next to a Vercel deployment
+if (require.main === module) start_status_checker();
+
+module.exports = {
+  STATUS_HISTORY_DAYS,
+  STATUS_PRIORITY,
+  SERVICES,
+  find_service,
+  create_maintenance_window,
+  list_maintenance,
+  cancel_maintenance_window,
+  get_maintenance_schedule,
+  run_status_checks,
+  get_current_status,
+  refresh_status,
+  start_status_checker,
+  get_status_history,
+  get_incidents,
+};
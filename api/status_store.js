@@ -0,0 +1,376 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+require("dotenv").config();
+
+// "supabase", "sqlite" or "memory". Without Supabase settings the logs stay in memory, which is enough to run locally
+const STATUS_STORE = process.env.STATUS_STORE || (process.env.SUPABASE_URL ? "supabase" : "memory");
+const STATUS_SQLITE_PATH = process.env.STATUS_SQLITE_PATH || path.join(os.tmpdir(), "avatarcyan-status.db");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Every store implements these, with the signatures of the functions of the same name in ./supabase:
+// status logs and what's computed from them, incidents, and maintenance windows
+const STATUS_STORE_METHODS = [
+  "save_status_log",
+  "clean_old_logs",
+  "get_service_uptime",
+  "get_daily_status",
+  "get_all_service_statistics",
+  "get_uptime_summary",
+  "get_service_incidents",
+  "get_open_incidents",
+  "open_incident",
+  "update_incident",
+  "insert_maintenance_window",
+  "list_maintenance_windows",
+  "delete_maintenance_window",
+];
+
+// The RPCs and views in supabase/migrations compute uptime and statistics in Postgres
+function create_supabase_status_store() {
+  const supabase = require("./supabase");
+  return {
+    name: "supabase",
+    ...Object.fromEntries(STATUS_STORE_METHODS.map((method) => [method, supabase[method]])),
+  };
+}
+
+// The other stores only keep records, which are:
+// add_log({ service_name, status, response_time, message, time }), logs_since(time) -> logs oldest first,
+// delete_logs_before(time) -> count, add_incident(incident), update_incident(id, fields) -> incident or null,
+// incidents_since(iso, service_name) -> incidents started since or still open, newest first, open_incidents(),
+// add_window(window), windows_after(iso) -> windows ending after, soonest first, delete_window(id) -> window or null.
+// Times of logs are epoch milliseconds, everything else is ISO 8601 like in Supabase
+
+function create_memory_records() {
+  // Appended as checks run, so they stay in time order
+  let logs = [];
+  const incidents = new Map();
+  const windows = new Map();
+
+  return {
+    async add_log(log) {
+      logs.push(log);
+    },
+    async logs_since(time) {
+      return logs.filter((log) => log.time >= time);
+    },
+    async delete_logs_before(time) {
+      const before = logs.length;
+      logs = logs.filter((log) => log.time >= time);
+      return before - logs.length;
+    },
+    async add_incident(incident) {
+      incidents.set(incident.id, { ...incident });
+      return { ...incident };
+    },
+    async update_incident(id, fields) {
+      const incident = incidents.get(id);
+      if (!incident) return null;
+      Object.assign(incident, fields);
+      return { ...incident };
+    },
+    async incidents_since(since, service_name) {
+      return [...incidents.values()]
+        .filter((incident) => (incident.started_at >= since || !incident.resolved_at)
+          && (!service_name || incident.service_name === service_name))
+        .sort((a, b) => b.started_at.localeCompare(a.started_at))
+        .map((incident) => ({ ...incident }));
+    },
+    async open_incidents() {
+      return [...incidents.values()].filter((incident) => !incident.resolved_at).map((incident) => ({ ...incident }));
+    },
+    async add_window(window) {
+      windows.set(window.id, { ...window });
+      return { ...window };
+    },
+    async windows_after(since) {
+      return [...windows.values()]
+        .filter((window) => window.ends_at > since)
+        .sort((a, b) => a.starts_at.localeCompare(b.starts_at))
+        .map((window) => ({ ...window }));
+    },
+    async delete_window(id) {
+      const window = windows.get(id);
+      windows.delete(id);
+      return window || null;
+    },
+  };
+}
+
+const SQLITE_SCHEMA = `
+create table if not exists status_logs (
+  id integer primary key,
+  service_name text not null,
+  status text not null,
+  response_time integer,
+  message text,
+  time integer not null
+);
+create index if not exists status_logs_time on status_logs (time);
+
+create table if not exists status_incidents (
+  id text primary key,
+  service_name text not null,
+  status text not null,
+  message text,
+  started_at text not null,
+  resolved_at text
+);
+create unique index if not exists status_incidents_open on status_incidents (service_name) where resolved_at is null;
+
+create table if not exists maintenance_windows (
+  id text primary key,
+  title text not null,
+  description text,
+  services text not null,
+  starts_at text not null,
+  ends_at text not null,
+  created_at text not null
+);
+`;
+
+const INCIDENT_FIELDS = ["status", "message", "resolved_at"];
+
+// One file on one machine, like `npm start` with STATUS_CHECKER_ENABLED. Vercel's file system doesn't last
+function create_sqlite_records(file = STATUS_SQLITE_PATH) {
+  // Required here, it's a native module the other stores don't need
+  const Database = require("better-sqlite3");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SQLITE_SCHEMA);
+
+  const statements = {
+    add_log: db.prepare(
+      "insert into status_logs (service_name, status, response_time, message, time) values (@service_name, @status, @response_time, @message, @time)"
+    ),
+    logs_since: db.prepare("select service_name, status, response_time, time from status_logs where time >= ? order by time"),
+    delete_logs_before: db.prepare("delete from status_logs where time < ?"),
+    add_incident: db.prepare(
+      "insert into status_incidents (id, service_name, status, message, started_at, resolved_at) values (@id, @service_name, @status, @message, @started_at, @resolved_at)"
+    ),
+    get_incident: db.prepare("select * from status_incidents where id = ?"),
+    incidents_since: db.prepare(
+      "select * from status_incidents where (started_at >= @since or resolved_at is null) and (@service_name is null or service_name = @service_name) order by started_at desc"
+    ),
+    open_incidents: db.prepare("select * from status_incidents where resolved_at is null"),
+    add_window: db.prepare(
+      "insert into maintenance_windows (id, title, description, services, starts_at, ends_at, created_at) values (@id, @title, @description, @services, @starts_at, @ends_at, @created_at)"
+    ),
+    get_window: db.prepare("select * from maintenance_windows where id = ?"),
+    windows_after: db.prepare("select * from maintenance_windows where ends_at > ? order by starts_at"),
+    delete_window: db.prepare("delete from maintenance_windows where id = ?"),
+  };
+  const from_window_row = (row) => row && { ...row, services: JSON.parse(row.services) };
+
+  return {
+    async add_log(log) {
+      statements.add_log.run(log);
+    },
+    async logs_since(time) {
+      return statements.logs_since.all(time);
+    },
+    async delete_logs_before(time) {
+      return statements.delete_logs_before.run(time).changes;
+    },
+    async add_incident(incident) {
+      statements.add_incident.run({ resolved_at: null, ...incident });
+      return statements.get_incident.get(incident.id);
+    },
+    async update_incident(id, fields) {
+      const columns = Object.keys(fields).filter((field) => INCIDENT_FIELDS.includes(field));
+      if (columns.length > 0) {
+        db.prepare(`update status_incidents set ${columns.map((column) => `${column} = @${column}`).join(", ")} where id = @id`)
+          .run({ ...fields, id });
+      }
+      return statements.get_incident.get(id) || null;
+    },
+    async incidents_since(since, service_name) {
+      return statements.incidents_since.all({ since, service_name: service_name || null });
+    },
+    async open_incidents() {
+      return statements.open_incidents.all();
+    },
+    async add_window(window) {
+      statements.add_window.run({ ...window, services: JSON.stringify(window.services) });
+      return from_window_row(statements.get_window.get(window.id));
+    },
+    async windows_after(since) {
+      return statements.windows_after.all(since).map(from_window_row);
+    },
+    async delete_window(id) {
+      const window = statements.get_window.get(id);
+      if (!window) return null;
+      statements.delete_window.run(id);
+      return from_window_row(window);
+    },
+  };
+}
+
+/**
+ * Count the checks of some logs by status
+ * @param {Array} logs - { status, response_time }
+ * @returns {Object} - { total_checks, operational_checks, degraded_checks, down_checks, maintenance_checks, average_response_time }
+ */
+function count_checks(logs) {
+  const counts = { total_checks: 0, operational_checks: 0, degraded_checks: 0, down_checks: 0, maintenance_checks: 0 };
+  let response_time = 0;
+  for (const log of logs) {
+    counts.total_checks++;
+    if (`${log.status}_checks` in counts) counts[`${log.status}_checks`]++;
+    response_time += log.response_time || 0;
+  }
+  return { ...counts, average_response_time: counts.total_checks ? Math.round(response_time / counts.total_checks) : 0 };
+}
+
+// Like the SQL: degraded still counts as up, maintenance doesn't count at all and no checks is null
+function uptime_of(counts) {
+  const counted = counts.total_checks - counts.maintenance_checks;
+  if (counted <= 0) return null;
+  return Number((((counts.operational_checks + counts.degraded_checks) / counted) * 100).toFixed(2));
+}
+
+function group_by(logs, key) {
+  const groups = new Map();
+  for (const log of logs) {
+    const group = key(log);
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(log);
+  }
+  return groups;
+}
+
+/**
+ * A status store that computes uptime, statistics and summaries in JavaScript from kept records
+ * @param {string} name - The store's name
+ * @param {Object} records - From create_memory_records or create_sqlite_records
+ * @returns {Object} - The store, see STATUS_STORE_METHODS
+ */
+function create_records_status_store(name, records) {
+  return {
+    name,
+
+    async save_status_log(service_name, status, response_time, message) {
+      await records.add_log({ service_name, status, response_time, message, time: Date.now() });
+    },
+
+    async clean_old_logs(days_to_keep = 90) {
+      return records.delete_logs_before(Date.now() - days_to_keep * DAY_MS);
+    },
+
+    async get_service_uptime(service_name, hours = 24) {
+      const now = Date.now();
+      const logs = (await records.logs_since(now - hours * HOUR_MS)).filter((log) => log.service_name === service_name);
+      const counts = count_checks(logs);
+      return {
+        service_name,
+        uptime_percentage: uptime_of(counts),
+        ...counts,
+        period_start: new Date(now - hours * HOUR_MS).toISOString(),
+        period_end: new Date(now).toISOString(),
+      };
+    },
+
+    async get_daily_status(days = 90) {
+      const since = (Math.floor(Date.now() / DAY_MS) - days + 1) * DAY_MS;
+      const groups = group_by(
+        await records.logs_since(since),
+        (log) => `${log.service_name}\0${new Date(log.time).toISOString().slice(0, 10)}`
+      );
+      return [...groups].map(([group, logs]) => {
+        const [service_name, day] = group.split("\0");
+        return { service_name, day, ...count_checks(logs) };
+      });
+    },
+
+    async get_all_service_statistics(days = 30) {
+      const since = Date.now() - days * DAY_MS;
+      const [logs, incidents] = await Promise.all([
+        records.logs_since(since),
+        records.incidents_since(new Date(since).toISOString(), null),
+      ]);
+      return [...group_by(logs, (log) => log.service_name)].map(([service_name, own_logs]) => {
+        const counts = count_checks(own_logs);
+        return {
+          service_name,
+          total_checks: counts.total_checks,
+          uptime_percentage: uptime_of(counts),
+          avg_response_time: counts.average_response_time,
+          incident_count: incidents.filter(
+            (incident) => incident.service_name === service_name && Date.parse(incident.started_at) >= since
+          ).length,
+        };
+      });
+    },
+
+    async get_uptime_summary() {
+      const now = Date.now();
+      const logs = await records.logs_since(now - 30 * DAY_MS);
+      return [...group_by(logs, (log) => log.service_name)]
+        .map(([service_name, own_logs]) => {
+          const uptime_since = (ms) => uptime_of(count_checks(own_logs.filter((log) => log.time >= now - ms)));
+          const last = own_logs[own_logs.length - 1];
+          return {
+            service_name,
+            uptime_24h: uptime_since(DAY_MS),
+            uptime_7d: uptime_since(7 * DAY_MS),
+            uptime_30d: uptime_since(30 * DAY_MS),
+            last_status: last.status,
+            last_checked: new Date(last.time).toISOString(),
+          };
+        })
+        .sort((a, b) => a.service_name.localeCompare(b.service_name));
+    },
+
+    async get_service_incidents(service_name, days = 7) {
+      return records.incidents_since(new Date(Date.now() - days * DAY_MS).toISOString(), service_name);
+    },
+
+    get_open_incidents: () => records.open_incidents(),
+    open_incident: (record) => records.add_incident(record),
+
+    async update_incident(id, fields) {
+      const incident = await records.update_incident(id, fields);
+      if (!incident) throw new Error(`Incident ${id} not found`);
+      return incident;
+    },
+
+    insert_maintenance_window: (record) => records.add_window(record),
+    list_maintenance_windows: (since) => records.windows_after(since),
+    delete_maintenance_window: (id) => records.delete_window(id),
+  };
+}
+
+const STATUS_STORES = {
+  supabase: create_supabase_status_store,
+  sqlite: () => create_records_status_store("sqlite", create_sqlite_records()),
+  memory: () => create_records_status_store("memory", create_memory_records()),
+};
+
+/**
+ * Create a status store by name
+ * @param {string} name - One of "supabase", "sqlite", "memory"
+ * @returns {Object} - The store, see STATUS_STORE_METHODS
+ */
+function create_status_store(name) {
+  if (!STATUS_STORES[name]) {
+    throw new Error(`Unknown STATUS_STORE "${name}", expected one of ${Object.keys(STATUS_STORES).join(", ")}`);
+  }
+  return STATUS_STORES[name]();
+}
+
+// Shared by the status checks and routes, like the Supabase client in supabase.js
+const status_store = create_status_store(STATUS_STORE);
+
+module.exports = {
+  STATUS_STORE,
+  STATUS_STORE_METHODS,
+  status_store,
+  create_status_store,
+  create_memory_records,
+  create_sqlite_records,
+  create_records_status_store,
+};
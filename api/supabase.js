@@ -1,16 +1,29 @@
 const { createClient } = require('@supabase/supabase-js');
+const { logger } = require('./request_context');
 require('dotenv').config();
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
-if (!supabaseUrl || !supabaseServiceKey) {
-  throw new Error(
-    'Missing Supabase environment variables. Set both SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in the .env file'
-  );
-}
+let client = null;
 
-const supabase = createClient(supabaseUrl, supabaseServiceKey);
+/**
+ * The Supabase client, created on first use so the API runs without Supabase
+ * as long as nothing is configured to use it
+ * @returns {Object} - The client
+ * @throws {Error} - When SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY is missing
+ */
+function get_supabase() {
+  if (!client) {
+    if (!supabaseUrl || !supabaseServiceKey) {
+      throw new Error(
+        'Missing Supabase environment variables. Set both SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in the .env file'
+      );
+    }
+    client = createClient(supabaseUrl, supabaseServiceKey);
+  }
+  return client;
+}
 
 /**
  * Save a status check result to the database
@@ -22,7 +35,7 @@ const supabase = createClient(supabaseUrl, supabaseServiceKey);
  */
 async function save_status_log(service_name, status, response_time, message) {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await get_supabase()
       .from('status_logs')
       .insert([
         {
@@ -36,13 +49,13 @@ async function save_status_log(service_name, status, response_time, message) {
       .select();
 
     if (error) {
-      console.error('Error saving status log:', error);
+      logger.error('Error saving status log:', error);
       throw error;
     }
 
     return data;
   } catch (error) {
-    console.error('Failed to save status log:', error);
+    logger.error('Failed to save status log:', error);
     throw error;
   }
 }
@@ -50,27 +63,24 @@ async function save_status_log(service_name, status, response_time, message) {
 /**
  * Remove old logs from the database
  * @param {number} days_to_keep - How many days to keep logs for (default 90)
- * @returns {Promise<Object>} - Info about deleted records
+ * @returns {Promise<number>} - How many logs were deleted
  */
 async function clean_old_logs(days_to_keep = 90) {
   try {
-    const { data, error } = await supabase.rpc('cleanup_old_status_logs', {
+    const { data, error } = await get_supabase().rpc('cleanup_old_status_logs', {
       days_to_keep: days_to_keep,
     });
 
     if (error) {
-      console.error('Error cleaning old logs:', error);
+      logger.error('Error cleaning old logs:', error);
       throw error;
     }
 
-    console.log(
-      `Removed logs older than ${days_to_keep} days: ${
-        data?.[0]?.deleted_count || 0
-      } records deleted`
-    );
-    return data;
+    const deleted_count = data?.[0]?.deleted_count || 0;
+    logger.log(`Removed logs older than ${days_to_keep} days: ${deleted_count} records deleted`);
+    return deleted_count;
   } catch (error) {
-    console.error('Failed to clean old logs:', error);
+    logger.error('Failed to clean old logs:', error);
     throw error;
   }
 }
@@ -79,7 +89,7 @@ function fallback_uptime_data(service_name, hours) {
   const now = new Date();
   return {
     service_name: service_name,
-    uptime_percentage: 99.0,
+    uptime_percentage: null,
     total_checks: 0,
     operational_checks: 0,
     degraded_checks: 0,
@@ -99,44 +109,132 @@ function fallback_uptime_data(service_name, hours) {
  */
 async function get_service_uptime(service_name, hours = 24) {
   try {
-    const { data, error } = await supabase.rpc('get_service_uptime', {
+    const { data, error } = await get_supabase().rpc('get_service_uptime', {
       service_name_param: service_name,
       hours_back: hours,
     });
 
     if (error) {
-      console.error(`Error fetching uptime for ${service_name}:`, error);
+      logger.error(`Error fetching uptime for ${service_name}:`, error);
       throw error;
     }
 
     return data?.[0] || fallback_uptime_data(service_name, hours);
   } catch (error) {
-    console.error(`Failed to get uptime for ${service_name}:`, error);
+    logger.error(`Failed to get uptime for ${service_name}:`, error);
     return fallback_uptime_data(service_name, hours);
   }
 }
 
 /**
- * Get incidents for a service over the past days
- * @param {string} service_name - The service name
+ * Get incidents that started over the past days, plus any still open
+ * @param {string|null} service_name - The service name, or null for every service
  * @param {number} days - How many days to look back (default 7)
- * @returns {Promise<Array>} - List of incidents
+ * @returns {Promise<Array>} - List of incidents, newest first
  */
 async function get_service_incidents(service_name, days = 7) {
   try {
-    const { data, error } = await supabase.rpc('get_service_incidents', {
-      service_name_param: service_name,
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    let query = get_supabase()
+      .from('status_incidents')
+      .select('*')
+      .or(`started_at.gte.${since},resolved_at.is.null`)
+      .order('started_at', { ascending: false });
+    if (service_name) query = query.eq('service_name', service_name);
+
+    const { data, error } = await query;
+
+    if (error) {
+      logger.error(`Error fetching incidents for ${service_name || 'all services'}:`, error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    logger.error(`Failed to get incidents for ${service_name || 'all services'}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Get the incidents that haven't been resolved yet, at most one per service
+ * @returns {Promise<Array>} - List of open incidents
+ */
+async function get_open_incidents() {
+  const { data, error } = await get_supabase()
+    .from('status_incidents')
+    .select('*')
+    .is('resolved_at', null);
+
+  if (error) {
+    logger.error('Error fetching open incidents:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Open an incident for a service
+ * @param {Object} record - { id, service_name, status, message, started_at }
+ * @returns {Promise<Object>} - The stored incident
+ */
+async function open_incident(record) {
+  const { data, error } = await get_supabase()
+    .from('status_incidents')
+    .insert([record])
+    .select()
+    .single();
+
+  if (error) {
+    logger.error(`Error opening incident for ${record.service_name}:`, error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Update some fields of an incident
+ * @param {string} id - The incident ID
+ * @param {Object} fields - Like { status, message } or { resolved_at }
+ * @returns {Promise<Object>} - The updated incident
+ */
+async function update_incident(id, fields) {
+  const { data, error } = await get_supabase()
+    .from('status_incidents')
+    .update(fields)
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    logger.error(`Error updating incident ${id}:`, error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Get the number of checks per status, service and UTC day
+ * @param {number} days - How many days to look back, today included (default 90)
+ * @returns {Promise<Array>} - { service_name, day, total_checks, operational_checks, degraded_checks, down_checks, maintenance_checks, average_response_time }
+ */
+async function get_daily_status(days = 90) {
+  try {
+    const { data, error } = await get_supabase().rpc('get_daily_status', {
       days_back: days,
     });
 
     if (error) {
-      console.error(`Error fetching incidents for ${service_name}:`, error);
+      logger.error('Error fetching daily status:', error);
       throw error;
     }
 
     return data || [];
   } catch (error) {
-    console.error(`Failed to get incidents for ${service_name}:`, error);
+    logger.error('Failed to get daily status:', error);
     return [];
   }
 }
@@ -147,19 +245,19 @@ async function get_service_incidents(service_name, days = 7) {
  */
 async function get_uptime_summary() {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await get_supabase()
       .from('service_uptime_summary')
       .select('*')
       .order('service_name');
 
     if (error) {
-      console.error('Error fetching uptime summary:', error);
+      logger.error('Error fetching uptime summary:', error);
       throw error;
     }
 
     return data || [];
   } catch (error) {
-    console.error('Failed to get uptime summary:', error);
+    logger.error('Failed to get uptime summary:', error);
     return [];
   }
 }
@@ -171,28 +269,251 @@ async function get_uptime_summary() {
  */
 async function get_all_service_statistics(days = 30) {
   try {
-    const { data, error } = await supabase.rpc('get_service_statistics', {
+    const { data, error } = await get_supabase().rpc('get_service_statistics', {
       days_back: days,
     });
 
     if (error) {
-      console.error('Error fetching service stats:', error);
+      logger.error('Error fetching service stats:', error);
       throw error;
     }
 
     return data || [];
   } catch (error) {
-    console.error('Failed to get service stats:', error);
+    logger.error('Failed to get service stats:', error);
     return [];
   }
 }
 
+/**
+ * Store a new maintenance window
+ * @param {Object} record - { id, title, description, services, starts_at, ends_at, created_at }
+ * @returns {Promise<Object>} - The stored window
+ */
+async function insert_maintenance_window(record) {
+  const { data, error } = await get_supabase()
+    .from('maintenance_windows')
+    .insert([record])
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('Error saving maintenance window:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * List the maintenance windows that end after a point in time, soonest first
+ * @param {string} since - ISO timestamp, like now for active and upcoming windows
+ * @returns {Promise<Array>} - The windows
+ */
+async function list_maintenance_windows(since) {
+  const { data, error } = await get_supabase()
+    .from('maintenance_windows')
+    .select('*')
+    .gt('ends_at', since)
+    .order('starts_at');
+
+  if (error) {
+    logger.error('Error listing maintenance windows:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Delete a maintenance window
+ * @param {string} id - The window ID
+ * @returns {Promise<Object|null>} - The deleted window, or null when there was none
+ */
+async function delete_maintenance_window(id) {
+  const { data, error } = await get_supabase()
+    .from('maintenance_windows')
+    .delete()
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    logger.error(`Error deleting maintenance window ${id}:`, error);
+    throw error;
+  }
+
+  return data;
+}
+
+const API_KEY_COLUMNS =
+  'id, name, prefix, rate_limit, image_rate_limit, burst, created_at, rotated_at, revoked_at, last_used_at';
+
+/**
+ * Store a new API key
+ * @param {Object} record - { id, name, prefix, key_hash, rate_limit, image_rate_limit, burst, created_at }
+ * @returns {Promise<Object>} - The stored key, without its hash
+ */
+async function insert_api_key(record) {
+  const { data, error } = await get_supabase()
+    .from('api_keys')
+    .insert([record])
+    .select(API_KEY_COLUMNS)
+    .single();
+
+  if (error) {
+    logger.error('Error saving API key:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Find an API key by the SHA-256 hash of its secret
+ * @param {string} key_hash - Hex SHA-256 of the key
+ * @returns {Promise<Object|null>} - The key, or null when there's none
+ */
+async function get_api_key_by_hash(key_hash) {
+  const { data, error } = await get_supabase()
+    .from('api_keys')
+    .select(API_KEY_COLUMNS)
+    .eq('key_hash', key_hash)
+    .maybeSingle();
+
+  if (error) {
+    logger.error('Error fetching API key:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Get an API key by ID
+ * @param {string} id - The key ID
+ * @returns {Promise<Object|null>} - The key, or null when there's none
+ */
+async function get_api_key(id) {
+  const { data, error } = await get_supabase()
+    .from('api_keys')
+    .select(`${API_KEY_COLUMNS}, key_hash`)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    logger.error(`Error fetching API key ${id}:`, error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * List every API key, newest first
+ * @returns {Promise<Array>} - The keys, without their hashes
+ */
+async function list_api_keys() {
+  const { data, error } = await get_supabase()
+    .from('api_keys')
+    .select(API_KEY_COLUMNS)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    logger.error('Error listing API keys:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Update some fields of an API key
+ * @param {string} id - The key ID
+ * @param {Object} fields - Like { revoked_at } or { key_hash, prefix, rotated_at }
+ * @returns {Promise<Object>} - The updated key, without its hash
+ */
+async function update_api_key(id, fields) {
+  const { data, error } = await get_supabase()
+    .from('api_keys')
+    .update(fields)
+    .eq('id', id)
+    .select(API_KEY_COLUMNS)
+    .single();
+
+  if (error) {
+    logger.error(`Error updating API key ${id}:`, error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Add to the daily usage counters of an API key
+ * @param {string} key_id - The key ID
+ * @param {string} day - UTC date, like "2024-05-01"
+ * @param {number} requests - Requests to add
+ * @param {number} limited - Rate-limited requests to add
+ * @returns {Promise<void>}
+ */
+async function increment_api_key_usage(key_id, day, requests, limited) {
+  const { error } = await get_supabase().rpc('increment_api_key_usage', {
+    key_id_param: key_id,
+    day_param: day,
+    requests_param: requests,
+    limited_param: limited,
+  });
+
+  if (error) {
+    logger.error(`Error saving usage for API key ${key_id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the daily usage of an API key
+ * @param {string} key_id - The key ID
+ * @param {number} days - How many days to look back (default 30)
+ * @returns {Promise<Array>} - { day, requests, limited }, newest first
+ */
+async function get_api_key_usage(key_id, days = 30) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const { data, error } = await get_supabase()
+    .from('api_key_usage')
+    .select('day, requests, limited')
+    .eq('key_id', key_id)
+    .gte('day', since)
+    .order('day', { ascending: false });
+
+  if (error) {
+    logger.error(`Error fetching usage for API key ${key_id}:`, error);
+    throw error;
+  }
+
+  return data || [];
+}
+
 module.exports = {
-  supabase,
+  get_supabase,
   save_status_log,
   clean_old_logs,
   get_service_uptime,
   get_service_incidents,
+  get_open_incidents,
+  open_incident,
+  update_incident,
+  get_daily_status,
+  insert_maintenance_window,
+  list_maintenance_windows,
+  delete_maintenance_window,
   get_uptime_summary,
   get_all_service_statistics,
+  insert_api_key,
+  get_api_key_by_hash,
+  get_api_key,
+  list_api_keys,
+  update_api_key,
+  increment_api_key_usage,
+  get_api_key_usage,
 };
@@ -0,0 +1,318 @@
+const crypto = require("crypto");
+const os = require("os");
+const path = require("path");
+const fetch = (...args) => import("node-fetch").then(({ default: f }) => f(...args));
+const { avatarcyan_cache, create_backend } = require("./cache");
+const { InvalidRequestError, NotFoundError } = require("./errors");
+const { discord_provider, isValidUserId, archive_user } = require("./providers/discord");
+const { logger } = require("./request_context");
+require("dotenv").config();
+
+// History and webhooks have to outlive the cache, but can live in the same kind of store
+const TRACKING_BACKEND = process.env.TRACKING_BACKEND || process.env.CACHE_BACKEND || "memory";
+const TRACKING_DIR = process.env.TRACKING_DIR || path.join(os.tmpdir(), "avatarcyan-tracking");
+const HISTORY_RETENTION_DAYS = parseInt(process.env.HISTORY_RETENTION_DAYS || "365", 10);
+const HISTORY_MAX_ENTRIES = parseInt(process.env.HISTORY_MAX_ENTRIES || "100", 10);
+const WEBHOOK_MAX_USERS = parseInt(process.env.WEBHOOK_MAX_USERS || "100", 10);
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "5", 10);
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || "1000", 10);
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || "5000", 10);
+
+// What a webhook can subscribe to, each maps to the user fields that trigger it
+const WEBHOOK_EVENTS = {
+  avatar: ["avatar"],
+  banner: ["banner"],
+  display_name: ["global_name", "username"],
+};
+
+const RETENTION_SECONDS = HISTORY_RETENTION_DAYS * 24 * 60 * 60;
+
+const store = create_backend(TRACKING_BACKEND, { dir: TRACKING_DIR, setting: "TRACKING_BACKEND" });
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function snapshot(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    global_name: user.global_name ?? null,
+    discriminator: user.discriminator,
+    avatar: user.avatar ?? null,
+    banner: user.banner ?? null,
+  };
+}
+
+/**
+ * Compare two snapshots of a user, only looking at the fields the newer one carries
+ * (user objects inside member updates leave out the banner)
+ * @param {Object} before - The previous snapshot
+ * @param {Object} after - The user object from the Gateway
+ * @returns {Object} - Like { avatar: { before, after } }, empty when nothing tracked changed
+ */
+function diff_user(before, after) {
+  const changes = {};
+  for (const [event, fields] of Object.entries(WEBHOOK_EVENTS)) {
+    const changed = fields.filter((field) => field in after && (after[field] ?? null) !== (before[field] ?? null));
+    if (changed.length === 0) continue;
+    if (event === "display_name") {
+      const name = (user) => user.global_name || user.username;
+      changes.display_name = { before: name(before), after: name({ ...before, ...after }) };
+    } else {
+      changes[event] = { before: before[event] ?? null, after: after[event] ?? null };
+    }
+  }
+  return changes;
+}
+
+// The last state we saw, or what the API is currently serving when the worker hasn't seen the user yet
+async function previous_snapshot(user_id) {
+  const stored = await store.get(`tracking_snapshot_${user_id}`);
+  if (stored) return stored;
+  const cached = await avatarcyan_cache.get(`discord_${user_id}`);
+  return cached?.value ? snapshot(cached.value) : null;
+}
+
+async function get_history(user_id) {
+  return (await store.get(`tracking_history_${user_id}`)) || [];
+}
+
+async function add_history(user_id, entry) {
+  const history = [entry, ...(await get_history(user_id))].slice(0, HISTORY_MAX_ENTRIES);
+  await store.set(`tracking_history_${user_id}`, history, RETENTION_SECONDS);
+}
+
+/**
+ * Handle a user object from the Gateway: drop the cached profile when something changed,
+ * record it in the history and notify the webhooks watching the user
+ * @param {Object} user - The user, full from USER_UPDATE or partial from GUILD_MEMBER_UPDATE
+ * @param {Object} context
+ * @param {string} context.guild_id - Guild the update came from, if any
+ * @returns {Promise<Object|null>} - The changes, or null when there were none
+ */
+async function record_user_update(user, { guild_id = null } = {}) {
+  const before = await previous_snapshot(user.id);
+  const after = snapshot({ ...before, ...user });
+  await store.set(`tracking_snapshot_${user.id}`, after, RETENTION_SECONDS);
+  if (!before) return null;
+
+  const changes = diff_user(before, user);
+  if (Object.keys(changes).length === 0) return null;
+
+  await avatarcyan_cache.del(`discord_${user.id}`);
+  if (changes.avatar || changes.banner) archive_user(after);
+  const changed_at = new Date().toISOString();
+  await add_history(user.id, {
+    changed_at,
+    changes,
+    avatar: after.avatar,
+    banner: after.banner,
+    display_name: after.global_name || after.username,
+  });
+  // Deliveries retry for a while, so they aren't awaited
+  notify_webhooks(after, changes, { guild_id, changed_at }).catch((err) =>
+    logger.error(`Webhook notification failed for ${user.id}:`, err.message)
+  );
+  return changes;
+}
+
+// Per-guild avatars and nicknames live on the member, so its cache entry goes on every update
+async function record_member_update(member) {
+  await avatarcyan_cache.del(`discord_member_${member.guild_id}_${member.user.id}`);
+  return record_user_update(member.user, { guild_id: member.guild_id });
+}
+
+// Webhooks don't expire, the TTL only satisfies the backends
+const WEBHOOK_TTL = 10 * 365 * 24 * 60 * 60;
+const webhook_key = (id) => `tracking_webhook_${id}`;
+
+// Each webhook has its own key, so a delivery only ever writes its own webhook
+const save_webhook = (webhook) => store.set(webhook_key(webhook.id), webhook, WEBHOOK_TTL);
+
+async function webhook_ids() {
+  const ids = await store.get("tracking_webhook_ids");
+  if (ids) return ids;
+  // Webhooks used to share one key, they move to their own on the first read
+  const legacy = (await store.get("tracking_webhooks")) || [];
+  if (legacy.length === 0) return [];
+  await Promise.all(legacy.map(save_webhook));
+  await store.set("tracking_webhook_ids", legacy.map((webhook) => webhook.id), WEBHOOK_TTL);
+  await store.del("tracking_webhooks");
+  return legacy.map((webhook) => webhook.id);
+}
+
+// Changes to the list of IDs go one at a time, so concurrent registrations don't drop each other
+let ids_queue = Promise.resolve();
+function update_webhook_ids(change) {
+  const update = ids_queue.then(async () => {
+    await store.set("tracking_webhook_ids", change(await webhook_ids()), WEBHOOK_TTL);
+  });
+  ids_queue = update.catch(() => {});
+  return update;
+}
+
+async function list_webhooks() {
+  const webhooks = await Promise.all((await webhook_ids()).map((id) => store.get(webhook_key(id))));
+  return webhooks.filter(Boolean);
+}
+
+// The secret is only shown when the webhook is created
+function public_webhook({ secret, ...webhook }) {
+  return webhook;
+}
+
+/**
+ * Validate and store a webhook
+ * @param {Object} body - { url, user_ids, events } from the request
+ * @returns {Promise<Object>} - The webhook, including its signing secret
+ * @throws {InvalidRequestError} - When a field is missing or invalid
+ */
+async function create_webhook(body = {}) {
+  let url;
+  try {
+    url = new URL(body.url);
+  } catch {
+    throw new InvalidRequestError("Invalid url: expected an absolute http(s) URL", { code: "invalid_parameter" });
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    throw new InvalidRequestError("Invalid url: expected an absolute http(s) URL", { code: "invalid_parameter" });
+  }
+
+  const user_ids = body.user_ids;
+  if (!Array.isArray(user_ids) || user_ids.length === 0 || user_ids.length > WEBHOOK_MAX_USERS) {
+    throw new InvalidRequestError(`Invalid user_ids: expected an array of 1 to ${WEBHOOK_MAX_USERS} Discord user IDs`, { code: "invalid_parameter" });
+  }
+  const invalid = user_ids.find((id) => !isValidUserId(String(id)));
+  if (invalid !== undefined) throw new InvalidRequestError(`Invalid user ID: ${invalid}`, { code: "invalid_user_id" });
+
+  const events = body.events ?? Object.keys(WEBHOOK_EVENTS);
+  if (!Array.isArray(events) || events.length === 0 || events.some((event) => !WEBHOOK_EVENTS[event])) {
+    throw new InvalidRequestError(`Invalid events: expected some of ${Object.keys(WEBHOOK_EVENTS).join(", ")}`, { code: "invalid_parameter" });
+  }
+
+  const webhook = {
+    id: crypto.randomUUID(),
+    url: url.toString(),
+    user_ids: [...new Set(user_ids.map(String))],
+    events: [...new Set(events)],
+    secret: crypto.randomBytes(32).toString("hex"),
+    created_at: new Date().toISOString(),
+    last_delivery: null,
+  };
+  await save_webhook(webhook);
+  await update_webhook_ids((ids) => [...ids, webhook.id]);
+  return webhook;
+}
+
+async function delete_webhook(id) {
+  if (!(await webhook_ids()).includes(id)) {
+    throw new NotFoundError("Webhook not found", { code: "webhook_not_found" });
+  }
+  await update_webhook_ids((ids) => ids.filter((entry) => entry !== id));
+  await store.del(webhook_key(id));
+}
+
+/**
+ * HMAC-SHA256 signature sent in X-Avatarcyan-Signature, over "<timestamp>.<body>"
+ * so a captured delivery can't be replayed later with a new timestamp
+ * @param {string} secret - The webhook's secret
+ * @param {number} timestamp - Unix seconds, sent in X-Avatarcyan-Timestamp
+ * @param {string} body - The raw JSON body
+ * @returns {string} - Like "sha256=ab12..."
+ */
+function sign_payload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+// Timeouts, 408, 429 and 5xx are worth retrying, other 4xx won't get better
+const retryable = (status) => status === undefined || status === 408 || status === 429 || status >= 500;
+
+/**
+ * POST a payload to a webhook, retrying with exponential backoff
+ * @param {Object} webhook - The stored webhook
+ * @param {Object} payload - The event
+ * @returns {Promise<Object>} - { ok, status, attempts }
+ */
+async function deliver(webhook, payload) {
+  const body = JSON.stringify(payload);
+  let status;
+
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      const res = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "Avatarcyan-Webhooks",
+          "X-Avatarcyan-Event": payload.event,
+          "X-Avatarcyan-Delivery": payload.id,
+          "X-Avatarcyan-Timestamp": String(timestamp),
+          "X-Avatarcyan-Signature": sign_payload(webhook.secret, timestamp, body),
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      status = res.status;
+      if (res.ok) return { ok: true, status, attempts: attempt };
+    } catch {
+      status = undefined;
+    }
+    if (!retryable(status) || attempt === WEBHOOK_MAX_ATTEMPTS) return { ok: false, status: status ?? null, attempts: attempt };
+    await sleep(WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1));
+  }
+}
+
+async function record_delivery(id, result) {
+  const webhook = await store.get(webhook_key(id));
+  // Deleted while the delivery was retrying
+  if (!webhook) return;
+  await save_webhook({ ...webhook, last_delivery: { ...result, at: new Date().toISOString() } });
+}
+
+async function notify_webhooks(user, changes, { guild_id, changed_at }) {
+  const events = Object.keys(changes);
+  const targets = (await list_webhooks()).filter(
+    (webhook) => webhook.user_ids.includes(user.id) && webhook.events.some((event) => events.includes(event))
+  );
+  if (targets.length === 0) return;
+
+  const profile = {
+    id: user.id,
+    username: user.username,
+    display_name: user.global_name || user.username,
+    avatarUrl: discord_provider.avatar_url(user),
+    bannerUrl: discord_provider.banner_url(user),
+  };
+
+  await Promise.all(targets.map(async (webhook) => {
+    const payload = {
+      id: crypto.randomUUID(),
+      event: "user.updated",
+      user_id: user.id,
+      guild_id,
+      // Only what this webhook subscribed to
+      changes: Object.fromEntries(Object.entries(changes).filter(([event]) => webhook.events.includes(event))),
+      user: profile,
+      timestamp: changed_at,
+    };
+    const result = await deliver(webhook, payload);
+    if (!result.ok) logger.error(`Webhook ${webhook.id} failed after ${result.attempts} attempts (status ${result.status})`);
+    await record_delivery(webhook.id, result);
+  }));
+}
+
+module.exports = {
+  TRACKING_BACKEND,
+  WEBHOOK_EVENTS,
+  diff_user,
+  get_history,
+  record_user_update,
+  record_member_update,
+  list_webhooks,
+  public_webhook,
+  create_webhook,
+  delete_webhook,
+  sign_payload,
+  deliver,
+};
@@ -0,0 +1,250 @@
+const fetch = (...args) => import("node-fetch").then(({ default: f }) => f(...args));
+const {
+  NotFoundError,
+  RateLimitedError,
+  UpstreamError,
+  UpstreamAuthError,
+  UpstreamUnavailableError,
+  UpstreamTimeoutError,
+} = require("./errors");
+const { time_upstream } = require("./metrics");
+require("dotenv").config();
+
+const UPSTREAM_TIMEOUT_MS = parseInt(process.env.UPSTREAM_TIMEOUT_MS || "5000", 10);
+const UPSTREAM_MAX_RETRIES = parseInt(process.env.UPSTREAM_MAX_RETRIES || "2", 10);
+// Longest we'll hold a request waiting for a bucket to reset before giving up with a 429
+const UPSTREAM_MAX_WAIT_MS = parseInt(process.env.UPSTREAM_MAX_WAIT_MS || "5000", 10);
+const BACKOFF_BASE_MS = 250;
+const BACKOFF_MAX_MS = 4000;
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Full jitter: a random delay up to the exponential cap, so retries don't line up
+const backoff = (attempt) => Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+
+function header_number(headers, name) {
+  const value = headers.get(name);
+  return value === null || value === "" ? undefined : Number(value);
+}
+
+/**
+ * Read Discord's X-RateLimit-* and Retry-After headers
+ * @param {Response} res - The upstream response
+ * @returns {Object|null} - Bucket info, or null when the response carries none
+ */
+function read_discord_limits(res) {
+  const limited = res.status === 429;
+  const retry_after = header_number(res.headers, "retry-after");
+
+  if (limited && res.headers.get("x-ratelimit-global") === "true") {
+    return { global: true, limited, retry_after };
+  }
+  if (!res.headers.has("x-ratelimit-remaining")) return limited ? { limited, retry_after } : null;
+
+  const reset_after = header_number(res.headers, "x-ratelimit-reset-after") || 0;
+  return {
+    bucket: res.headers.get("x-ratelimit-bucket"),
+    remaining: header_number(res.headers, "x-ratelimit-remaining"),
+    reset_at: Date.now() + reset_after * 1000,
+    limited,
+    retry_after: retry_after ?? reset_after,
+  };
+}
+
+/**
+ * Read GitHub's x-ratelimit-* headers, including secondary limits sent as 403 + Retry-After
+ * @param {Response} res - The upstream response
+ * @returns {Object|null} - Bucket info, or null when the response carries none
+ */
+function read_github_limits(res) {
+  const remaining = header_number(res.headers, "x-ratelimit-remaining");
+  const reset = header_number(res.headers, "x-ratelimit-reset");
+  const retry_after = header_number(res.headers, "retry-after");
+  const reset_at = reset !== undefined ? reset * 1000 : undefined;
+  const limited = (res.status === 403 || res.status === 429) && (retry_after !== undefined || remaining === 0);
+
+  if (remaining === undefined) return limited ? { limited, retry_after: retry_after ?? 60 } : null;
+  return {
+    bucket: res.headers.get("x-ratelimit-resource") || "core",
+    remaining,
+    reset_at,
+    limited,
+    retry_after: retry_after ?? (reset_at ? Math.max(0, (reset_at - Date.now()) / 1000) : 60),
+  };
+}
+
+/**
+ * Read the IETF-style RateLimit-* headers used by GitLab and Bluesky
+ * @param {Response} res - The upstream response
+ * @returns {Object|null} - Bucket info, or null when the response carries none
+ */
+function read_ratelimit_headers(res) {
+  const remaining = header_number(res.headers, "ratelimit-remaining");
+  const reset = header_number(res.headers, "ratelimit-reset");
+  const retry_after = header_number(res.headers, "retry-after");
+  const limited = res.status === 429;
+
+  if (remaining === undefined) return limited ? { limited, retry_after: retry_after ?? 60 } : null;
+  // Bluesky sends an epoch timestamp, GitLab does too; anything small is treated as seconds from now
+  const reset_at = reset === undefined ? undefined : reset > 1e9 ? reset * 1000 : Date.now() + reset * 1000;
+  return {
+    remaining,
+    reset_at,
+    limited,
+    retry_after: retry_after ?? (reset_at ? Math.max(0, (reset_at - Date.now()) / 1000) : 60),
+  };
+}
+
+/**
+ * Create an HTTP client for one upstream that tracks its rate-limit buckets,
+ * delays calls that would trip a limit and retries transient failures
+ * @param {Object} options
+ * @param {string} options.name - Used in error messages, like "Discord API"
+ * @param {string} options.base_url - Prefix for relative paths
+ * @param {Function} options.headers - Returns headers sent with every request
+ * @param {Function} options.read_limits - Turns a response into bucket info
+ * @param {Function} options.route_key - Maps a path to the route it's rate limited by
+ * @param {Object} options.credentials - Optional { acquire(key), report(id, key, res, limits) } that picks
+ *                                       the credential for each call, buckets are then tracked per credential
+ * @returns {Object} - { name, request, buckets }
+ */
+function create_upstream_client(options) {
+  const {
+    name,
+    base_url = "",
+    headers = () => ({}),
+    read_limits = () => null,
+    route_key = (path) => path,
+    credentials = null,
+  } = options;
+
+  const routes = new Map();
+  const buckets = new Map();
+  let global_reset_at = 0;
+
+  const bucket_for = (key) => buckets.get(routes.get(key) || key);
+
+  function delay_for(key) {
+    const now = Date.now();
+    let wait = Math.max(0, global_reset_at - now);
+    const bucket = bucket_for(key);
+    if (bucket && bucket.remaining <= 0 && bucket.reset_at > now) {
+      wait = Math.max(wait, bucket.reset_at - now);
+    }
+    return wait;
+  }
+
+  // Count the call against the bucket before it's sent, so concurrent callers see it too
+  function reserve(key) {
+    const bucket = bucket_for(key);
+    if (bucket && bucket.remaining > 0) bucket.remaining--;
+  }
+
+  function update(key, limits, scope) {
+    if (!limits) return;
+    if (limits.global) {
+      global_reset_at = Date.now() + (limits.retry_after || 1) * 1000;
+      return;
+    }
+    if (limits.remaining === undefined) return;
+    const id = scope ? `${scope} ${limits.bucket || key}` : limits.bucket || key;
+    routes.set(key, id);
+    buckets.set(id, { remaining: limits.remaining, reset_at: limits.reset_at });
+  }
+
+  async function wait_for(ms) {
+    if (ms > UPSTREAM_MAX_WAIT_MS) {
+      throw new RateLimitedError(`${name} rate limit reached, try again later`, { retry_after: ms / 1000 });
+    }
+    await sleep(ms);
+  }
+
+  /**
+   * Send a request, retrying 5xx/network errors and waiting out short rate limits
+   * @param {string} path - Path relative to base_url, or an absolute URL
+   * @param {Object} init - fetch options
+   * @returns {Promise<Response>} - The successful response
+   */
+  async function request(path, init = {}) {
+    const method = init.method || "GET";
+    const key = `${method} ${route_key(path)}`;
+    const url = /^https?:\/\//.test(path) ? path : base_url + path;
+
+    for (let attempt = 0; ; attempt++) {
+      // Each credential has its own quota, so its buckets are kept apart from the others'
+      const credential = credentials ? await credentials.acquire(key) : null;
+      const scoped_key = credential ? `${credential.id} ${key}` : key;
+      const wait = delay_for(scoped_key);
+      if (wait > 0) await wait_for(wait);
+      reserve(scoped_key);
+
+      let res;
+      const end_timer = time_upstream(name);
+      try {
+        res = await fetch(url, {
+          ...init,
+          headers: { ...headers(), ...credential?.headers, ...init.headers },
+          signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS),
+        });
+        end_timer(res.status);
+      } catch (err) {
+        const timed_out = err.name === "TimeoutError" || err.name === "AbortError";
+        end_timer(timed_out ? "timeout" : "error");
+        if (attempt < UPSTREAM_MAX_RETRIES) {
+          await sleep(backoff(attempt));
+          continue;
+        }
+        if (timed_out) {
+          throw new UpstreamTimeoutError(`${name} did not respond within ${UPSTREAM_TIMEOUT_MS}ms`);
+        }
+        throw new UpstreamUnavailableError(`${name} is unreachable`);
+      }
+
+      const limits = read_limits(res);
+      update(scoped_key, limits, credential?.id);
+      if (credential) credentials.report(credential.id, key, res, limits);
+
+      if (limits && limits.limited) {
+        const retry_after = limits.retry_after ?? 1;
+        if (attempt < UPSTREAM_MAX_RETRIES && retry_after * 1000 <= UPSTREAM_MAX_WAIT_MS) {
+          await sleep(retry_after * 1000);
+          continue;
+        }
+        throw new RateLimitedError(`${name} rate limit reached, try again later`, {
+          upstream_status: res.status,
+          retry_after,
+        });
+      }
+
+      if (RETRYABLE_STATUSES.includes(res.status)) {
+        if (attempt < UPSTREAM_MAX_RETRIES) {
+          await sleep(backoff(attempt));
+          continue;
+        }
+        throw new UpstreamUnavailableError(`${name} is unavailable`, {
+          upstream_status: res.status,
+          retry_after: header_number(res.headers, "retry-after"),
+        });
+      }
+
+      if (res.status === 404) {
+        throw new NotFoundError(`${name} resource not found`, { upstream_status: res.status });
+      }
+      if (res.status === 401 || res.status === 403) {
+        throw new UpstreamAuthError(`${name} rejected our credentials`, { upstream_status: res.status });
+      }
+      if (!res.ok) throw new UpstreamError(`${name} error: ${res.status}`, { upstream_status: res.status });
+      return res;
+    }
+  }
+
+  return { name, request, buckets };
+}
+
+module.exports = {
+  create_upstream_client,
+  read_discord_limits,
+  read_github_limits,
+  read_ratelimit_headers,
+};
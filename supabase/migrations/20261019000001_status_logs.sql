@@ -0,0 +1,109 @@
+-- One row per service and status run, written by api/status.js
+create table if not exists status_logs (
+  id bigint generated by default as identity primary key,
+  service_name text not null,
+  status text not null,
+  response_time integer,
+  message text,
+  timestamp timestamptz not null default now()
+);
+
+create index if not exists status_logs_service_timestamp on status_logs (service_name, timestamp desc);
+create index if not exists status_logs_timestamp on status_logs (timestamp);
+
+-- Called once a day with STATUS_RETENTION_DAYS
+drop function if exists cleanup_old_status_logs(integer);
+create function cleanup_old_status_logs(days_to_keep integer)
+returns table (deleted_count bigint) language sql as $$
+  with deleted as (
+    delete from status_logs
+    where timestamp < now() - make_interval(days => days_to_keep)
+    returning 1
+  )
+  select count(*) from deleted;
+$$;
+
+-- Degraded still counts as up, maintenance doesn't count at all and no checks is null
+drop function if exists get_service_uptime(text, integer);
+create function get_service_uptime(service_name_param text, hours_back integer)
+returns table (
+  service_name text,
+  uptime_percentage numeric,
+  total_checks bigint,
+  operational_checks bigint,
+  degraded_checks bigint,
+  down_checks bigint,
+  maintenance_checks bigint,
+  average_response_time numeric,
+  period_start timestamptz,
+  period_end timestamptz
+) language sql stable as $$
+  select
+    service_name_param,
+    round(100.0 * count(*) filter (where status in ('operational', 'degraded'))
+      / nullif(count(*) filter (where status <> 'maintenance'), 0), 2),
+    count(*),
+    count(*) filter (where status = 'operational'),
+    count(*) filter (where status = 'degraded'),
+    count(*) filter (where status = 'down'),
+    count(*) filter (where status = 'maintenance'),
+    coalesce(round(avg(response_time)), 0),
+    now() - make_interval(hours => hours_back),
+    now()
+  from status_logs
+  where service_name = service_name_param
+    and timestamp >= now() - make_interval(hours => hours_back);
+$$;
+
+-- One row per service and UTC day, for the history bars
+drop function if exists get_daily_status(integer);
+create function get_daily_status(days_back integer)
+returns table (
+  service_name text,
+  day date,
+  total_checks bigint,
+  operational_checks bigint,
+  degraded_checks bigint,
+  down_checks bigint,
+  maintenance_checks bigint,
+  average_response_time numeric
+) language sql stable as $$
+  select
+    service_name,
+    (timestamp at time zone 'utc')::date,
+    count(*),
+    count(*) filter (where status = 'operational'),
+    count(*) filter (where status = 'degraded'),
+    count(*) filter (where status = 'down'),
+    count(*) filter (where status = 'maintenance'),
+    round(avg(response_time))
+  from status_logs
+  where timestamp >= (now() at time zone 'utc')::date - (days_back - 1)
+  group by 1, 2
+  order by 1, 2;
+$$;
+
+drop view if exists service_uptime_summary;
+create view service_uptime_summary as
+with recent as (
+  select
+    service_name,
+    status,
+    timestamp,
+    timestamp >= now() - interval '24 hours' as in_24h,
+    timestamp >= now() - interval '7 days' as in_7d
+  from status_logs
+  where timestamp >= now() - interval '30 days'
+)
+select
+  service_name,
+  round(100.0 * count(*) filter (where in_24h and status in ('operational', 'degraded'))
+    / nullif(count(*) filter (where in_24h and status <> 'maintenance'), 0), 2) as uptime_24h,
+  round(100.0 * count(*) filter (where in_7d and status in ('operational', 'degraded'))
+    / nullif(count(*) filter (where in_7d and status <> 'maintenance'), 0), 2) as uptime_7d,
+  round(100.0 * count(*) filter (where status in ('operational', 'degraded'))
+    / nullif(count(*) filter (where status <> 'maintenance'), 0), 2) as uptime_30d,
+  (array_agg(status order by timestamp desc))[1] as last_status,
+  max(timestamp) as last_checked
+from recent
+group by service_name;
@@ -0,0 +1,40 @@
+-- Opened, raised and resolved by api/status.js
+create table if not exists status_incidents (
+  id uuid primary key,
+  service_name text not null,
+  status text not null,
+  message text,
+  started_at timestamptz not null,
+  resolved_at timestamptz
+);
+
+-- At most one open incident per service, even with several checkers
+create unique index if not exists status_incidents_open on status_incidents (service_name) where resolved_at is null;
+create index if not exists status_incidents_started_at on status_incidents (started_at desc);
+
+-- The 7-day statistics of /api/status
+drop function if exists get_service_statistics(integer);
+create function get_service_statistics(days_back integer)
+returns table (
+  service_name text,
+  total_checks bigint,
+  uptime_percentage numeric,
+  avg_response_time numeric,
+  incident_count bigint
+) language sql stable as $$
+  select
+    logs.service_name,
+    count(*),
+    round(100.0 * count(*) filter (where logs.status in ('operational', 'degraded'))
+      / nullif(count(*) filter (where logs.status <> 'maintenance'), 0), 2),
+    coalesce(round(avg(logs.response_time)), 0),
+    (
+      select count(*)
+      from status_incidents incidents
+      where incidents.service_name = logs.service_name
+        and incidents.started_at >= now() - make_interval(days => days_back)
+    )
+  from status_logs logs
+  where logs.timestamp >= now() - make_interval(days => days_back)
+  group by logs.service_name;
+$$;
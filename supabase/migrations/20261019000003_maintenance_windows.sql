@@ -0,0 +1,12 @@
+-- Scheduled with POST /api/maintenance
+create table if not exists maintenance_windows (
+  id uuid primary key,
+  title text not null,
+  description text,
+  services text[] not null,
+  starts_at timestamptz not null,
+  ends_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists maintenance_windows_ends_at on maintenance_windows (ends_at);
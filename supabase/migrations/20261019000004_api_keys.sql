@@ -0,0 +1,36 @@
+-- API keys and their daily usage, see api/keys.js
+create table if not exists api_keys (
+  id uuid primary key,
+  name text not null,
+  prefix text not null,
+  key_hash text not null unique,
+  rate_limit integer,
+  image_rate_limit integer,
+  burst integer,
+  created_at timestamptz not null default now(),
+  rotated_at timestamptz,
+  revoked_at timestamptz,
+  last_used_at timestamptz
+);
+
+-- Keys created before image limits existed
+alter table api_keys add column if not exists image_rate_limit integer;
+
+create table if not exists api_key_usage (
+  key_id uuid not null references api_keys (id) on delete cascade,
+  day date not null,
+  requests bigint not null default 0,
+  limited bigint not null default 0,
+  primary key (key_id, day)
+);
+
+-- Called with the counts each instance collected since its last flush
+create or replace function increment_api_key_usage(key_id_param uuid, day_param date, requests_param bigint, limited_param bigint)
+returns void language sql as $$
+  insert into api_key_usage (key_id, day, requests, limited)
+  values (key_id_param, day_param, requests_param, limited_param)
+  on conflict (key_id, day) do update
+    set requests = api_key_usage.requests + excluded.requests,
+        limited = api_key_usage.limited + excluded.limited;
+  update api_keys set last_used_at = now() where id = key_id_param;
+$$;
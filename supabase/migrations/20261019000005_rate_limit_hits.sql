@@ -0,0 +1,24 @@
+-- Shared sliding-window counters for RATE_LIMIT_STORE=supabase, see api/rate_limit_store.js
+create table if not exists rate_limit_hits (
+  key text not null,
+  window_start bigint not null,
+  hits integer not null default 0,
+  expires_at timestamptz not null,
+  primary key (key, window_start)
+);
+
+create or replace function rate_limit_hit(key_param text, window_param bigint, window_ms_param integer, delta_param integer)
+returns table (current_hits integer, previous_hits integer) language plpgsql as $$
+begin
+  insert into rate_limit_hits (key, window_start, hits, expires_at)
+  values (key_param, window_param, greatest(delta_param, 0), now() + make_interval(secs => window_ms_param * 2 / 1000.0))
+  on conflict (key, window_start) do update set hits = greatest(rate_limit_hits.hits + delta_param, 0);
+  -- Every so often, drop windows that can't count anymore
+  if random() < 0.01 then
+    delete from rate_limit_hits where expires_at < now();
+  end if;
+  return query select
+    (select h.hits from rate_limit_hits h where h.key = key_param and h.window_start = window_param),
+    coalesce((select h.hits from rate_limit_hits h where h.key = key_param and h.window_start = window_param - 1), 0);
+end;
+$$;
@@ -0,0 +1,18 @@
+-- Index of archived avatars and banners for AVATAR_ARCHIVE=supabase, see api/archive.js
+create table if not exists avatar_history (
+  provider text not null,
+  user_id text not null,
+  kind text not null,
+  hash text not null,
+  content_type text,
+  bytes integer,
+  first_seen timestamptz not null default now(),
+  last_seen timestamptz not null default now(),
+  primary key (provider, user_id, kind, hash)
+);
+
+-- The image bytes. Private, the API reads them with the service role key.
+-- Create it under another name too if ARCHIVE_BUCKET is changed
+insert into storage.buckets (id, name, public)
+values ('avatar-archive', 'avatar-archive', false)
+on conflict (id) do nothing;
@@ -0,0 +1,9 @@
+-- Entries for CACHE_BACKEND=supabase, see api/cache.js. Rename it along with SUPABASE_CACHE_TABLE
+create table if not exists cache_entries (
+  key text primary key,
+  value text not null,
+  expires_at timestamptz not null
+);
+
+-- Expired rows are only dropped when read, this finds the rest for a periodic cleanup
+create index if not exists cache_entries_expires_at on cache_entries (expires_at);
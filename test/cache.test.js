@@ -0,0 +1,177 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+// The shared cache isn't used here, keep it from picking another backend up from the environment
+process.env.CACHE_BACKEND = "memory";
+const { NotFoundError, UpstreamUnavailableError } = require("../api/errors");
+const { create_cache, create_memory_backend } = require("../api/cache");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Counts calls, like an upstream that answers with each value in turn
+function loader(...results) {
+  const load = async () => {
+    const result = results[Math.min(load.calls++, results.length - 1)];
+    if (result instanceof Error) throw result;
+    return result;
+  };
+  load.calls = 0;
+  return load;
+}
+
+describe("memory backend", () => {
+  it("drops the least recently used entries past max_keys", async () => {
+    let evictions = 0;
+    const backend = create_memory_backend({ max_keys: 3, on_evict: () => evictions++ });
+    await backend.set("a", 1, 60);
+    await backend.set("b", 2, 60);
+    await backend.set("c", 3, 60);
+    await backend.get("a");
+    await backend.set("d", 4, 60);
+    await backend.set("e", 5, 60);
+
+    assert.equal(await backend.get("b"), undefined);
+    assert.equal(await backend.get("c"), undefined);
+    assert.deepEqual(await Promise.all(["a", "d", "e"].map((key) => backend.get(key))), [1, 4, 5]);
+    assert.equal(evictions, 2);
+  });
+
+  it("overwrites a key without evicting when full", async () => {
+    const backend = create_memory_backend({ max_keys: 2 });
+    await backend.set("a", 1, 60);
+    await backend.set("b", 2, 60);
+    await backend.set("a", 3, 60);
+    assert.equal(await backend.get("a"), 3);
+    assert.equal(await backend.get("b"), 2);
+  });
+
+  it("drops the least recently used entries past max_bytes", async () => {
+    const backend = create_memory_backend({ max_bytes: 100 });
+    await backend.set("a", { value: Buffer.alloc(40) }, 60);
+    await backend.set("b", { value: Buffer.alloc(40) }, 60);
+    await backend.set("c", { value: Buffer.alloc(40) }, 60);
+    assert.equal(await backend.get("a"), undefined);
+    assert.ok(await backend.get("b"));
+    assert.ok(await backend.get("c"));
+
+    // Small entries, like the alert state, are never refused
+    await backend.set("state", { count: 1 }, 60);
+    assert.deepEqual(await backend.get("state"), { count: 1 });
+
+    // Replacing an entry frees its old size first
+    await backend.set("c", { value: Buffer.alloc(70) }, 60);
+    assert.equal(await backend.get("b"), undefined);
+    assert.equal((await backend.get("c")).value.length, 70);
+  });
+
+  it("keeps what it has when a value is bigger than max_bytes", async () => {
+    const backend = create_memory_backend({ max_bytes: 100 });
+    await backend.set("a", { value: Buffer.alloc(40) }, 60);
+    await backend.set("huge", { value: Buffer.alloc(200) }, 60);
+    assert.equal(await backend.get("huge"), undefined);
+    assert.ok(await backend.get("a"));
+  });
+
+  it("frees the budget of deleted entries", async () => {
+    const backend = create_memory_backend({ max_keys: 2, max_bytes: 100 });
+    await backend.set("a", { value: Buffer.alloc(60) }, 60);
+    await backend.set("b", 2, 60);
+    await backend.del("a");
+    await backend.set("c", { value: Buffer.alloc(60) }, 60);
+    assert.equal(await backend.get("b"), 2);
+    assert.ok(await backend.get("c"));
+  });
+});
+
+describe("cache", () => {
+  const TTLS = { default: { ttl: 60, stale: 60 }, short: { ttl: 0.05, stale: 60 } };
+  const create = (options = {}) => create_cache({ backend: create_memory_backend(), ttls: TTLS, negative_ttl: 60, ...options });
+
+  it("loads on a miss and answers from the cache after", async () => {
+    const cache = create();
+    const load = loader("a", "b");
+    assert.equal(await cache.fetch("key", load), "a");
+    assert.equal(await cache.fetch("key", load), "a");
+    assert.equal(load.calls, 1);
+  });
+
+  it("serves a stale value while it refreshes in the background", async () => {
+    const cache = create();
+    const load = loader("a", "b");
+    assert.equal(await cache.fetch("key", load, { resource: "short" }), "a");
+    await sleep(60);
+
+    assert.equal(await cache.fetch("key", load, { resource: "short" }), "a");
+    assert.equal(load.calls, 2);
+    await sleep(0);
+    assert.equal(await cache.fetch("key", load, { resource: "short" }), "b");
+  });
+
+  it("keeps serving the stale value when the refresh fails", async () => {
+    const cache = create();
+    const load = loader("a", new UpstreamUnavailableError("down"));
+    await cache.fetch("key", load, { resource: "short" });
+    await sleep(60);
+
+    assert.equal(await cache.fetch("key", load, { resource: "short" }), "a");
+    await sleep(0);
+    assert.equal(await cache.fetch("key", load, { resource: "short" }), "a");
+  });
+
+  it("remembers not found errors", async () => {
+    const cache = create();
+    const load = loader(new NotFoundError("gone", { upstream_status: 404 }), "a");
+    await assert.rejects(cache.fetch("key", load), (err) => err instanceof NotFoundError && !err.cached);
+    await assert.rejects(cache.fetch("key", load), (err) => {
+      assert.equal(err.cached, true);
+      assert.equal(err.status, 404);
+      assert.equal(err.code, "not_found");
+      assert.equal(err.upstream_status, 404);
+      return true;
+    });
+    assert.equal(load.calls, 1);
+  });
+
+  it("doesn't remember other errors, or any with a negative_ttl of 0", async () => {
+    const cache = create();
+    const load = loader(new UpstreamUnavailableError("down"), "a");
+    await assert.rejects(cache.fetch("key", load), UpstreamUnavailableError);
+    assert.equal(await cache.fetch("key", load), "a");
+
+    const uncached = create({ negative_ttl: 0 });
+    const missing = loader(new NotFoundError("gone"), "a");
+    await assert.rejects(uncached.fetch("key", missing), NotFoundError);
+    assert.equal(await uncached.fetch("key", missing), "a");
+  });
+
+  it("shares one load between concurrent callers", async () => {
+    const cache = create();
+    let calls = 0;
+    const load = async () => {
+      calls++;
+      await sleep(10);
+      return "a";
+    };
+    assert.deepEqual(await Promise.all([cache.fetch("key", load), cache.fetch("key", load), cache.fetch("key", load)]), ["a", "a", "a"]);
+    assert.equal(calls, 1);
+  });
+
+  it("loads anyway when the backend fails", async () => {
+    const fail = async () => {
+      throw new Error("down");
+    };
+    const broken = { name: "broken", get: fail, set: fail };
+    const cache = create({ backend: broken });
+    const load = loader("a", "b");
+    assert.equal(await cache.fetch("key", load), "a");
+    assert.equal(await cache.fetch("key", load), "b");
+  });
+
+  it("answers primed values without loading", async () => {
+    const cache = create();
+    await cache.prime("key", "a");
+    const load = loader("b");
+    assert.equal(await cache.fetch("key", load), "a");
+    assert.equal(load.calls, 0);
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { InvalidRequestError, NotFoundError } = require("../api/errors");
+const { parse_transform_options, plan_output } = require("../api/image");
+
+// What a Discord-like CDN can encode on its own
+const SOURCE = { upstream_formats: ["png", "webp", "jpeg"], animated_formats: ["gif", "webp"] };
+
+const invalid_parameter = (err) => err instanceof InvalidRequestError && err.code === "invalid_parameter";
+
+describe("parse_transform_options", () => {
+  it("leaves sizes the CDN serves directly alone", () => {
+    const options = parse_transform_options({}, { size: 512 });
+    assert.equal(options.width, 512);
+    assert.equal(options.height, 512);
+    assert.equal(options.animation, "auto");
+    assert.equal(options.format, undefined);
+    assert.equal(options.processing, false);
+    assert.equal(options.active, false);
+    assert.equal(options.upstream_size, 512);
+  });
+
+  it("resizes sizes the CDN can't serve from the next size up", () => {
+    const options = parse_transform_options({}, { size: 100 });
+    assert.equal(options.processing, true);
+    assert.equal(options.upstream_size, 128);
+  });
+
+  it("replaces the default size with an explicit width or height", () => {
+    const options = parse_transform_options({ width: "300" }, { size: 512 });
+    assert.equal(options.width, 300);
+    assert.equal(options.height, undefined);
+    assert.equal(options.processing, true);
+    assert.equal(options.upstream_size, 512);
+  });
+
+  it("only processes formats the source can't encode", () => {
+    assert.equal(parse_transform_options({ format: "webp" }, { size: 512, ...SOURCE }).active, false);
+    assert.equal(parse_transform_options({ format: "avif" }, { size: 512, ...SOURCE }).active, true);
+    assert.equal(parse_transform_options({ format: "jpg" }, { size: 512, ...SOURCE }).format, "jpeg");
+  });
+
+  it("processes whenever a transform parameter is given", () => {
+    const options = parse_transform_options({ grayscale: "" }, { size: 512 });
+    assert.equal(options.grayscale, true);
+    assert.equal(options.processing, true);
+    assert.equal(parse_transform_options({ grayscale: "0" }).grayscale, false);
+  });
+
+  it("reads colors", () => {
+    const options = parse_transform_options({ border: "#f00", bg: "transparent" });
+    assert.deepEqual(options.border, { r: 255, g: 0, b: 0, alpha: 1 });
+    assert.deepEqual(options.bg, { r: 0, g: 0, b: 0, alpha: 0 });
+    assert.equal(parse_transform_options({ border: "00ff0080" }).border.alpha, 128 / 255);
+  });
+
+  it("rejects invalid parameters", () => {
+    const queries = [
+      { width: "10" },
+      { width: "5000" },
+      { height: "abc" },
+      { width: "64.5" },
+      { fit: "stretch" },
+      { shape: "star" },
+      { radius: "60" },
+      { border: "red" },
+      { border_width: "0" },
+      { blur: "0.1" },
+      { quality: "101" },
+      { format: "bmp" },
+      { animated: "maybe" },
+    ];
+    for (const query of queries) {
+      assert.throws(() => parse_transform_options(query, { size: 512 }), invalid_parameter, JSON.stringify(query));
+    }
+  });
+});
+
+describe("plan_output", () => {
+  const plan = (query, animated) => plan_output(parse_transform_options(query, { size: 512, ...SOURCE }), animated, SOURCE);
+
+  it("asks the CDN for its default format when nothing changes", () => {
+    const output = plan({}, false);
+    assert.equal(output.format, undefined);
+    assert.equal(output.animated, false);
+    assert.equal(output.active, false);
+    assert.equal(output.upstream_format, "png");
+  });
+
+  it("keeps animations as a GIF the CDN sends", () => {
+    const output = plan({}, true);
+    assert.equal(output.format, "gif");
+    assert.equal(output.animated, true);
+    assert.equal(output.active, false);
+    assert.equal(output.upstream_format, "gif");
+  });
+
+  it("fetches the GIF to process an animation", () => {
+    const output = plan({ shape: "circle" }, true);
+    assert.equal(output.format, "gif");
+    assert.equal(output.active, true);
+    assert.equal(output.upstream_format, "gif");
+  });
+
+  it("keeps the first frame with animated=false or a format that can't animate", () => {
+    assert.equal(plan({ animated: "false" }, true).animated, false);
+
+    const output = plan({ format: "avif" }, true);
+    assert.equal(output.animated, false);
+    assert.equal(output.active, true);
+    assert.equal(output.upstream_format, "png");
+  });
+
+  it("asks the CDN for a format it can encode", () => {
+    const output = plan({ format: "webp" }, false);
+    assert.equal(output.active, false);
+    assert.equal(output.upstream_format, "webp");
+  });
+
+  it("rejects animated=true when it can't be kept", () => {
+    assert.throws(() => plan({ animated: "true" }, false), (err) => err instanceof NotFoundError && err.code === "not_animated");
+    assert.throws(() => plan({ animated: "true", format: "png" }, true), invalid_parameter);
+  });
+});
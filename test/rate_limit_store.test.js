@@ -0,0 +1,79 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const { create_rate_limit_store } = require("../api/rate_limit_store");
+
+const WINDOW_MS = 1000;
+
+describe("memory rate limit store", () => {
+  let now;
+  let store;
+  beforeEach(() => {
+    // The start of window 10
+    now = 10 * WINDOW_MS;
+    mock.method(Date, "now", () => now);
+    // Every store of a backend shares its counters, a new prefix keeps the tests apart
+    store = create_rate_limit_store({ prefix: crypto.randomUUID(), backend: "memory" });
+    store.init({ windowMs: WINDOW_MS });
+  });
+  afterEach(() => mock.restoreAll());
+
+  const hits = async (key, count) => {
+    let result;
+    for (let i = 0; i < count; i++) result = await store.increment(key);
+    return result;
+  };
+
+  it("counts hits until the window resets", async () => {
+    const { totalHits, resetTime } = await hits("client", 3);
+    assert.equal(totalHits, 3);
+    assert.equal(resetTime.getTime(), 11 * WINDOW_MS);
+    assert.equal(store.localKeys, true);
+  });
+
+  it("weighs the previous window by how much of it the sliding window still covers", async () => {
+    await hits("client", 4);
+
+    now = 11.25 * WINDOW_MS;
+    assert.equal((await store.increment("client")).totalHits, 1 + 3);
+    now = 11.75 * WINDOW_MS;
+    assert.equal((await store.increment("client")).totalHits, 2 + 1);
+  });
+
+  it("forgets hits two windows old", async () => {
+    await hits("client", 4);
+    now = 12.1 * WINDOW_MS;
+    assert.equal((await store.increment("client")).totalHits, 1);
+  });
+
+  it("takes hits back without going below zero", async () => {
+    await hits("client", 2);
+    await store.decrement("client");
+    assert.equal((await store.increment("client")).totalHits, 2);
+
+    await store.decrement("other");
+    assert.equal((await store.increment("other")).totalHits, 1);
+  });
+
+  it("resets a key", async () => {
+    await hits("client", 4);
+    now = 11.5 * WINDOW_MS;
+    await hits("client", 2);
+    await store.resetKey("client");
+    assert.equal((await store.increment("client")).totalHits, 1);
+  });
+
+  it("keeps keys and prefixes apart", async () => {
+    await hits("client", 3);
+    assert.equal((await store.increment("other")).totalHits, 1);
+
+    const other_store = create_rate_limit_store({ prefix: crypto.randomUUID(), backend: "memory" });
+    other_store.init({ windowMs: WINDOW_MS });
+    assert.equal((await other_store.increment("client")).totalHits, 1);
+  });
+
+  it("rejects unknown backends", () => {
+    assert.throws(() => create_rate_limit_store({ prefix: "test", backend: "mongo" }), /Unknown RATE_LIMIT_STORE "mongo"/);
+  });
+});
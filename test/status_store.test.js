@@ -0,0 +1,133 @@
+const { describe, it, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The shared store isn't used here, keep it from picking Supabase up from the environment
+process.env.STATUS_STORE = "memory";
+const { STATUS_STORE_METHODS, create_memory_records, create_sqlite_records, create_records_status_store } = require("../api/status_store");
+
+const tmp_dir = fs.mkdtempSync(path.join(os.tmpdir(), "avatarcyan-status-test-"));
+after(() => fs.rmSync(tmp_dir, { recursive: true, force: true }));
+
+// Every store gets the same assertions, a fresh one per test
+const STORES = {
+  memory: () => create_records_status_store("memory", create_memory_records()),
+  sqlite: () => create_records_status_store("sqlite", create_sqlite_records(path.join(tmp_dir, `${crypto.randomUUID()}.db`))),
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+for (const [name, create_store] of Object.entries(STORES)) {
+  describe(`${name} status store`, () => {
+    let store;
+    beforeEach(() => {
+      store = create_store();
+    });
+
+    it("implements every method", () => {
+      for (const method of STATUS_STORE_METHODS) assert.equal(typeof store[method], "function", method);
+    });
+
+    it("reports null uptime without checks", async () => {
+      const uptime = await store.get_service_uptime("Discord API Gateway", 24);
+      assert.equal(uptime.uptime_percentage, null);
+      assert.equal(uptime.total_checks, 0);
+      assert.deepEqual(await store.get_all_service_statistics(7), []);
+      assert.deepEqual(await store.get_uptime_summary(), []);
+    });
+
+    it("counts degraded as up and leaves maintenance out", async () => {
+      await store.save_status_log("Discord API Gateway", "operational", 100, "ok");
+      await store.save_status_log("Discord API Gateway", "degraded", 3000, "slow");
+      await store.save_status_log("Discord API Gateway", "down", 200, "error");
+      await store.save_status_log("Discord API Gateway", "maintenance", 300, "upgrade");
+      await store.save_status_log("GitHub API", "maintenance", 100, "upgrade");
+
+      const uptime = await store.get_service_uptime("Discord API Gateway", 24);
+      assert.equal(uptime.uptime_percentage, 66.67);
+      assert.equal(uptime.total_checks, 4);
+      assert.equal(uptime.down_checks, 1);
+      assert.equal(uptime.maintenance_checks, 1);
+      assert.equal(uptime.average_response_time, 900);
+      assert.equal((await store.get_service_uptime("GitHub API", 24)).uptime_percentage, null);
+
+      const [daily] = (await store.get_daily_status(1)).filter((row) => row.service_name === "Discord API Gateway");
+      assert.equal(String(daily.day), new Date().toISOString().slice(0, 10));
+      assert.equal(daily.total_checks, 4);
+      assert.equal(daily.degraded_checks, 1);
+
+      const summary = await store.get_uptime_summary();
+      assert.deepEqual(summary.map((entry) => entry.service_name), ["Discord API Gateway", "GitHub API"]);
+      assert.equal(summary[0].uptime_24h, 66.67);
+      assert.equal(summary[0].uptime_30d, 66.67);
+      assert.equal(summary[0].last_status, "maintenance");
+      assert.equal(summary[1].uptime_24h, null);
+    });
+
+    it("counts incidents in the statistics", async () => {
+      await store.save_status_log("Discord API Gateway", "down", 200, "error");
+      await store.open_incident({
+        id: crypto.randomUUID(),
+        service_name: "Discord API Gateway",
+        status: "down",
+        message: "error",
+        started_at: new Date().toISOString(),
+      });
+
+      const [stats] = await store.get_all_service_statistics(7);
+      assert.equal(stats.service_name, "Discord API Gateway");
+      assert.equal(stats.total_checks, 1);
+      assert.equal(stats.uptime_percentage, 0);
+      assert.equal(stats.incident_count, 1);
+    });
+
+    it("deletes logs past the retention", async () => {
+      await store.save_status_log("Discord API Gateway", "operational", 100, "ok");
+      assert.equal(await store.clean_old_logs(1), 0);
+      await sleep(5);
+      assert.equal(await store.clean_old_logs(0), 1);
+      assert.equal((await store.get_service_uptime("Discord API Gateway", 24)).total_checks, 0);
+    });
+
+    it("opens, raises and resolves incidents", async () => {
+      const id = crypto.randomUUID();
+      const started_at = new Date().toISOString();
+      await store.open_incident({ id, service_name: "GitHub API", status: "degraded", message: "slow", started_at });
+      assert.equal((await store.get_open_incidents()).length, 1);
+
+      await store.update_incident(id, { status: "down", message: "error" });
+      const resolved = await store.update_incident(id, { resolved_at: new Date().toISOString() });
+      assert.equal(resolved.status, "down");
+      assert.ok(resolved.resolved_at);
+      assert.deepEqual(await store.get_open_incidents(), []);
+
+      const incidents = await store.get_service_incidents("GitHub API", 7);
+      assert.deepEqual(incidents.map((incident) => incident.id), [id]);
+      assert.deepEqual(await store.get_service_incidents("Discord API Gateway", 7), []);
+      await assert.rejects(store.update_incident(crypto.randomUUID(), { status: "down" }));
+    });
+
+    it("keeps maintenance windows until they're deleted", async () => {
+      const now = Date.now();
+      const window = {
+        id: crypto.randomUUID(),
+        title: "Upgrade",
+        description: null,
+        services: ["discord", "cache"],
+        starts_at: new Date(now).toISOString(),
+        ends_at: new Date(now + 60 * 60 * 1000).toISOString(),
+        created_at: new Date(now).toISOString(),
+      };
+      assert.deepEqual(await store.insert_maintenance_window(window), window);
+      assert.deepEqual(await store.list_maintenance_windows(new Date(now).toISOString()), [window]);
+      assert.deepEqual(await store.list_maintenance_windows(new Date(now + 2 * 60 * 60 * 1000).toISOString()), []);
+
+      assert.deepEqual(await store.delete_maintenance_window(window.id), window);
+      assert.equal(await store.delete_maintenance_window(window.id), null);
+      assert.deepEqual(await store.list_maintenance_windows(new Date(now).toISOString()), []);
+    });
+  });
+}
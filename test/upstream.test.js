@@ -0,0 +1,154 @@
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+// Short enough that timeouts and waits don't slow the suite down
+process.env.UPSTREAM_TIMEOUT_MS = "200";
+process.env.UPSTREAM_MAX_RETRIES = "2";
+process.env.UPSTREAM_MAX_WAIT_MS = "1000";
+const {
+  NotFoundError,
+  RateLimitedError,
+  UpstreamAuthError,
+  UpstreamUnavailableError,
+  UpstreamTimeoutError,
+} = require("../api/errors");
+const { create_upstream_client, read_discord_limits, read_github_limits, read_ratelimit_headers } = require("../api/upstream");
+
+// A local upstream that answers each call with the next of `responses`, the last one repeating
+let responses;
+let calls;
+const server = http.createServer((req, res) => {
+  const { status = 200, headers = {}, hang } = responses[Math.min(calls++, responses.length - 1)];
+  if (hang) return;
+  res.writeHead(status, { "content-type": "application/json", ...headers });
+  res.end(JSON.stringify({ status }));
+});
+
+let base_url;
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base_url = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const client = () => create_upstream_client({ name: "Test API", base_url, read_limits: read_discord_limits });
+
+describe("upstream client", () => {
+  beforeEach(() => {
+    calls = 0;
+  });
+
+  it("retries server errors", async () => {
+    responses = [{ status: 503 }, { status: 200 }];
+    const res = await client().request("/users/1");
+    assert.equal(res.status, 200);
+    assert.equal(calls, 2);
+  });
+
+  it("gives up after the last retry", async () => {
+    responses = [{ status: 502 }];
+    await assert.rejects(client().request("/users/1"), (err) => {
+      assert.ok(err instanceof UpstreamUnavailableError);
+      assert.equal(err.upstream_status, 502);
+      return true;
+    });
+    assert.equal(calls, 3);
+  });
+
+  it("doesn't retry not found or rejected credentials", async () => {
+    responses = [{ status: 404 }];
+    await assert.rejects(client().request("/users/1"), NotFoundError);
+    assert.equal(calls, 1);
+
+    calls = 0;
+    responses = [{ status: 401 }];
+    await assert.rejects(client().request("/users/1"), UpstreamAuthError);
+    assert.equal(calls, 1);
+  });
+
+  it("times out calls that don't answer", async () => {
+    responses = [{ hang: true }];
+    await assert.rejects(client().request("/users/1"), UpstreamTimeoutError);
+    assert.equal(calls, 3);
+  });
+
+  it("waits out a short 429", async () => {
+    responses = [{ status: 429, headers: { "retry-after": "0.05" } }, { status: 200 }];
+    const res = await client().request("/users/1");
+    assert.equal(res.status, 200);
+    assert.equal(calls, 2);
+  });
+
+  it("passes a long 429 on instead of waiting", async () => {
+    responses = [{ status: 429, headers: { "retry-after": "30" } }];
+    await assert.rejects(client().request("/users/1"), (err) => {
+      assert.ok(err instanceof RateLimitedError);
+      assert.equal(err.retry_after, 30);
+      return true;
+    });
+    assert.equal(calls, 1);
+  });
+
+  it("holds calls until an empty bucket resets", async () => {
+    const headers = { "x-ratelimit-bucket": "users", "x-ratelimit-remaining": "0", "x-ratelimit-reset-after": "0.1" };
+    responses = [{ status: 200, headers }, { status: 200 }];
+    const upstream = client();
+    const started = Date.now();
+    await upstream.request("/users/1");
+
+    await upstream.request("/users/1");
+    assert.ok(Date.now() - started >= 100);
+    assert.equal(calls, 2);
+  });
+
+  it("counts calls against the bucket before they're sent", async () => {
+    const headers = { "x-ratelimit-bucket": "users", "x-ratelimit-remaining": "1", "x-ratelimit-reset-after": "30" };
+    responses = [{ status: 200, headers }];
+    const upstream = client();
+    await upstream.request("/users/1");
+
+    const [sent, held] = await Promise.allSettled([upstream.request("/users/1"), upstream.request("/users/1")]);
+    assert.equal(sent.status, "fulfilled");
+    assert.ok(held.reason instanceof RateLimitedError);
+    assert.equal(calls, 2);
+  });
+
+  it("stops every route during a global limit", async () => {
+    responses = [{ status: 429, headers: { "x-ratelimit-global": "true", "retry-after": "30" } }];
+    const upstream = client();
+    await assert.rejects(upstream.request("/users/1"), RateLimitedError);
+    await assert.rejects(upstream.request("/guilds/1"), RateLimitedError);
+    assert.equal(calls, 1);
+  });
+});
+
+describe("rate limit headers", () => {
+  const response = (status, headers) => new Response(null, { status, headers });
+
+  it("reads GitHub's primary and secondary limits", () => {
+    const reset = Math.floor(Date.now() / 1000) + 60;
+    const primary = read_github_limits(response(403, { "x-ratelimit-remaining": "0", "x-ratelimit-reset": String(reset) }));
+    assert.equal(primary.limited, true);
+    assert.equal(primary.bucket, "core");
+    assert.equal(primary.reset_at, reset * 1000);
+
+    const secondary = read_github_limits(response(403, { "retry-after": "120" }));
+    assert.deepEqual(secondary, { limited: true, retry_after: 120 });
+
+    // A 403 with quota left is a permissions problem, not a limit
+    assert.equal(read_github_limits(response(403, { "x-ratelimit-remaining": "10" })).limited, false);
+    assert.equal(read_github_limits(response(200, {})), null);
+  });
+
+  it("reads resets as epoch timestamps or seconds from now", () => {
+    const epoch = Math.floor(Date.now() / 1000) + 60;
+    assert.equal(read_ratelimit_headers(response(200, { "ratelimit-remaining": "5", "ratelimit-reset": String(epoch) })).reset_at, epoch * 1000);
+
+    const relative = read_ratelimit_headers(response(200, { "ratelimit-remaining": "5", "ratelimit-reset": "60" }));
+    assert.ok(Math.abs(relative.reset_at - (Date.now() + 60 * 1000)) < 1000);
+  });
+});